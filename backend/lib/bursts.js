@@ -0,0 +1,56 @@
+const path = require('path');
+const { hashDistance } = require('./similarity');
+
+// Consecutive shots (by capture time) that look alike form a burst. How alike they have to
+// be depends on how far apart they were taken: frames of a burst a second apart may differ
+// more (the subject moves) than two shots that merely happen to be a minute apart.
+const BURST_GAP_SECONDS = 2;
+const BURST_MAX_DISTANCE = 14;
+const SIMILAR_GAP_SECONDS = 60;
+const SIMILAR_MAX_DISTANCE = 8;
+
+const getTime = (photo) => (photo.captureDate ? new Date(photo.captureDate).getTime() : NaN);
+
+// Whether `photo` continues the burst that `previous` is in
+const isSameBurst = (previous, photo, hashes) => {
+    if (path.dirname(previous.path) !== path.dirname(photo.path)) return false;
+    const a = hashes.get(previous.id);
+    const b = hashes.get(photo.id);
+    if (!a || !b) return false;
+
+    const distance = hashDistance(a, b);
+    const gap = Math.abs(getTime(photo) - getTime(previous)) / 1000;
+    if (Number.isNaN(gap)) return distance <= SIMILAR_MAX_DISTANCE; // No capture time: looks only
+    if (gap <= BURST_GAP_SECONDS) return distance <= BURST_MAX_DISTANCE;
+    if (gap <= SIMILAR_GAP_SECONDS) return distance <= SIMILAR_MAX_DISTANCE;
+    return false;
+};
+
+// Group photo stacks into bursts. `hashes` maps stack id -> perceptual hash of its primary file
+// (stacks without one are never grouped). Returns [{ id, members: [stack ids] }] for bursts of
+// two or more, members in shooting order; the burst id is that of its first member.
+const groupBursts = (photos, hashes) => {
+    const ordered = [...photos].sort((a, b) => (
+        path.dirname(a.path).localeCompare(path.dirname(b.path))
+        || (a.captureDate || '').localeCompare(b.captureDate || '')
+        || a.name.localeCompare(b.name)
+    ));
+
+    const bursts = [];
+    let current = [];
+    ordered.forEach((photo, i) => {
+        if (i > 0 && isSameBurst(ordered[i - 1], photo, hashes)) {
+            current.push(photo.id);
+            return;
+        }
+        if (current.length > 1) bursts.push(current);
+        current = [photo.id];
+    });
+    if (current.length > 1) bursts.push(current);
+
+    return bursts.map(members => ({ id: members[0], members }));
+};
+
+module.exports = {
+    groupBursts
+};
@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const { DATA_DIR } = require('./config');
+
+// Disk cache for rendered thumbnails and previews.
+// Entries are content-addressed by source path + mtime + size + variant, so an
+// edited file simply gets a new key and its stale entries age out of the LRU.
+const CACHE_DIR = path.join(DATA_DIR, 'cache');
+
+// Size cap, in MB (PHOTOPICKS_CACHE_MB). When exceeded, least recently used
+// entries are evicted until the cache is back under EVICT_TARGET of the cap.
+const MAX_CACHE_BYTES = Number(process.env.PHOTOPICKS_CACHE_MB || 2048) * 1024 * 1024;
+const EVICT_TARGET = 0.9;
+
+// key -> { file, size, lastUsed }. Rebuilt from disk on startup; file mtimes
+// double as last-used times so LRU order survives restarts.
+const entries = new Map();
+let totalBytes = 0;
+let loaded = null;
+
+// Renders in progress, so concurrent requests for the same image share one sharp run
+const pending = new Map();
+
+const getEntryPath = (key) => path.join(CACHE_DIR, key.slice(0, 2), `${key}.jpg`);
+
+const loadIndex = () => {
+    if (!loaded) {
+        loaded = (async () => {
+            await fs.promises.mkdir(CACHE_DIR, { recursive: true });
+            const shards = await fs.promises.readdir(CACHE_DIR, { withFileTypes: true });
+            for (const shard of shards.filter(d => d.isDirectory())) {
+                const shardDir = path.join(CACHE_DIR, shard.name);
+                for (const name of await fs.promises.readdir(shardDir)) {
+                    const file = path.join(shardDir, name);
+                    const stat = await fs.promises.stat(file);
+                    entries.set(path.parse(name).name, { file, size: stat.size, lastUsed: stat.mtimeMs });
+                    totalBytes += stat.size;
+                }
+            }
+        })().catch((err) => {
+            // Start over on the next call instead of failing for good
+            loaded = null;
+            entries.clear();
+            totalBytes = 0;
+            throw err;
+        });
+    }
+    return loaded;
+};
+
+// Identify a rendered variant of a source file. Also used as the HTTP ETag.
+const getCacheKey = (file, stat, variant) => crypto
+    .createHash('sha1')
+    .update(`${variant}|${path.resolve(file)}|${stat.mtimeMs}|${stat.size}`)
+    .digest('hex');
+
+const evict = async () => {
+    if (totalBytes <= MAX_CACHE_BYTES) return;
+
+    const oldestFirst = [...entries.entries()].sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+    for (const [key, entry] of oldestFirst) {
+        if (totalBytes <= MAX_CACHE_BYTES * EVICT_TARGET) break;
+        entries.delete(key);
+        totalBytes -= entry.size;
+        await fs.promises.rm(entry.file, { force: true });
+    }
+};
+
+const touch = (entry) => {
+    entry.lastUsed = Date.now();
+    const now = new Date(entry.lastUsed);
+    fs.promises.utimes(entry.file, now, now).catch(() => {});
+};
+
+// Return the cached buffer for `key`, calling `render()` to produce it on a miss
+const getOrRender = async (key, render) => {
+    await loadIndex();
+
+    const entry = entries.get(key);
+    if (entry) {
+        try {
+            const buffer = await fs.promises.readFile(entry.file);
+            touch(entry);
+            return buffer;
+        } catch (err) {
+            // Deleted behind our back - drop it and render again
+            entries.delete(key);
+            totalBytes -= entry.size;
+        }
+    }
+
+    if (pending.has(key)) return pending.get(key);
+
+    const job = (async () => {
+        const buffer = await render();
+        const file = getEntryPath(key);
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(file, buffer);
+        entries.set(key, { file, size: buffer.length, lastUsed: Date.now() });
+        totalBytes += buffer.length;
+        await evict();
+        return buffer;
+    })();
+
+    pending.set(key, job);
+    try {
+        return await job;
+    } finally {
+        pending.delete(key);
+    }
+};
+
+const getStats = async () => {
+    await loadIndex();
+    return { dir: CACHE_DIR, entries: entries.size, bytes: totalBytes, maxBytes: MAX_CACHE_BYTES };
+};
+
+// Remove every cached entry
+const purge = async () => {
+    await loadIndex();
+    const removed = { entries: entries.size, bytes: totalBytes };
+    await fs.promises.rm(CACHE_DIR, { recursive: true, force: true });
+    await fs.promises.mkdir(CACHE_DIR, { recursive: true });
+    entries.clear();
+    totalBytes = 0;
+    return removed;
+};
+
+module.exports = {
+    getCacheKey,
+    getOrRender,
+    getStats,
+    purge
+};
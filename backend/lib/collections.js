@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const { DATA_DIR } = require('./config');
+const { getStackKey } = require('./stacks');
+
+// Named collections (virtual albums) of photos from any folder.
+// Stored as one JSON file: { collections: [{ id, name, files, createdAt, updatedAt }] }
+// `files` holds one path per photo (its primary file); a RAW+JPEG stack is one photo.
+const COLLECTIONS_FILE = path.join(DATA_DIR, 'collections.json');
+
+let collections = null;
+let loaded = null;
+let saving = Promise.resolve();
+
+const load = () => {
+    if (!loaded) {
+        loaded = (async () => {
+            try {
+                collections = JSON.parse(await fs.promises.readFile(COLLECTIONS_FILE, 'utf8')).collections;
+            } catch (err) {
+                if (err.code !== 'ENOENT') console.error("Could not read collections, starting fresh:", err.message);
+                collections = [];
+            }
+        })();
+    }
+    return loaded;
+};
+
+// Saves run one after the other, each writing the latest state
+const save = () => {
+    const run = saving.then(async () => {
+        // Write to a temp file and rename so a crash never leaves a truncated file
+        const tmpFile = `${COLLECTIONS_FILE}.tmp`;
+        await fs.promises.mkdir(DATA_DIR, { recursive: true });
+        await fs.promises.writeFile(tmpFile, JSON.stringify({ collections }, null, 2));
+        await fs.promises.rename(tmpFile, COLLECTIONS_FILE);
+    });
+    saving = run.catch(() => {}); // A failed save mustn't block the next one
+    return run;
+};
+
+// What lists show of a collection: everything but the file list
+const toSummary = ({ files, ...collection }) => ({ ...collection, count: files.length });
+
+const find = (id) => collections.find(c => c.id === id) || null;
+
+const touch = async (collection) => {
+    collection.updatedAt = new Date().toISOString();
+    await save();
+    return toSummary(collection);
+};
+
+const listCollections = async () => {
+    await load();
+    return collections.map(toSummary);
+};
+
+// The collection with its files, or null
+const getCollection = async (id) => {
+    await load();
+    return find(id);
+};
+
+const createCollection = async (name) => {
+    await load();
+    const now = new Date().toISOString();
+    const collection = { id: crypto.randomBytes(6).toString('hex'), name, files: [], createdAt: now, updatedAt: now };
+    collections.push(collection);
+    await save();
+    return toSummary(collection);
+};
+
+// The functions below return the changed collection's summary, or null if there is no such collection
+
+const renameCollection = async (id, name) => {
+    await load();
+    const collection = find(id);
+    if (!collection) return null;
+    collection.name = name;
+    return touch(collection);
+};
+
+const deleteCollection = async (id) => {
+    await load();
+    const collection = find(id);
+    if (!collection) return null;
+    collections = collections.filter(c => c !== collection);
+    await save();
+    return toSummary(collection);
+};
+
+// Add photos by path; photos already in the collection (any member of their stack) are skipped
+const addPhotos = async (id, files) => {
+    await load();
+    const collection = find(id);
+    if (!collection) return null;
+    const keys = new Set(collection.files.map(getStackKey));
+    for (const file of files.map(f => path.resolve(f))) {
+        if (keys.has(getStackKey(file))) continue;
+        keys.add(getStackKey(file));
+        collection.files.push(file);
+    }
+    return touch(collection);
+};
+
+// Remove photos by the path of any member of their stack
+const removePhotos = async (id, files) => {
+    await load();
+    const collection = find(id);
+    if (!collection) return null;
+    const keys = new Set(files.map(f => getStackKey(path.resolve(f))));
+    collection.files = collection.files.filter(file => !keys.has(getStackKey(file)));
+    return touch(collection);
+};
+
+// Follow photos that were moved or renamed on disk: moved is [{ from, to }]
+const relocatePhotos = async (moved) => {
+    await load();
+    const destinations = new Map(moved.map(({ from, to }) => [path.resolve(from), path.resolve(to)]));
+    let changed = false;
+    for (const collection of collections) {
+        collection.files = collection.files.map(file => {
+            if (!destinations.has(file)) return file;
+            changed = true;
+            return destinations.get(file);
+        });
+    }
+    if (changed) await save();
+};
+
+module.exports = {
+    listCollections,
+    getCollection,
+    createCollection,
+    renameCollection,
+    deleteCollection,
+    addPhotos,
+    removePhotos,
+    relocatePhotos
+};
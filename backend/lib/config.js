@@ -0,0 +1,17 @@
+const path = require('path');
+const os = require('os');
+
+// Where the backend keeps its own files (thumbnail cache, index, ...).
+// Override with PHOTOPICKS_DATA_DIR, e.g. to put the cache on a faster drive.
+const DATA_DIR = process.env.PHOTOPICKS_DATA_DIR
+    ? path.resolve(process.env.PHOTOPICKS_DATA_DIR)
+    : path.join(os.homedir(), '.photopicks');
+
+// Folder that rejected and duplicate photos are moved into, inside the folder being culled.
+// Recursive scans and the folder watcher skip it, so moved photos leave the grid.
+const REJECTS_FOLDER = '_rejects';
+
+module.exports = {
+    DATA_DIR,
+    REJECTS_FOLDER
+};
@@ -0,0 +1,123 @@
+const { isSidecar } = require('./raw');
+const { listFiles, checkFolder, scanFolder } = require('./scanner');
+const { getHash, hashDistance } = require('./similarity');
+const { hashFile } = require('./fileOps');
+
+// Photos whose perceptual hashes differ in at most this many bits count as the same image
+// (a re-export, a resized copy). Much stricter than bursts: those are different frames.
+const SIMILAR_MAX_DISTANCE = 4;
+
+// Files that share their size with another one: size -> [paths].
+// Only these can be byte-identical, so only these get hashed.
+const groupBySize = (files) => {
+    const bySize = new Map();
+    files.forEach(file => {
+        if (!bySize.has(file.stat.size)) bySize.set(file.stat.size, []);
+        bySize.get(file.stat.size).push(file.path);
+    });
+    [...bySize.keys()].filter(size => bySize.get(size).length < 2).forEach(size => bySize.delete(size));
+    return bySize;
+};
+
+// Byte-identical files among same-size ones (see groupBySize).
+// `report(file, size, error)` fires after each file read. Returns [{ hash, size, files: [paths] }].
+const findExactDuplicates = async (bySize, report, signal) => {
+    const groups = [];
+    for (const [size, sameSize] of bySize) {
+        const byHash = new Map();
+        for (const file of sameSize) {
+            if (signal && signal.aborted) return groups;
+            try {
+                const hash = await hashFile(file);
+                if (!byHash.has(hash)) byHash.set(hash, []);
+                byHash.get(hash).push(file);
+                report(file, size);
+            } catch (err) {
+                report(file, size, `Could not read: ${err.message}`);
+            }
+        }
+        byHash.forEach((group, hash) => {
+            if (group.length > 1) groups.push({ hash, size, files: group.sort() });
+        });
+    }
+    return groups;
+};
+
+// Photo stacks that look the same, compared by the perceptual hash of their primary file.
+// Comparing stacks keeps a RAW and its own JPEG from showing up as duplicates.
+// `report(file, size, error)` fires after each stack. Returns [{ photos: [stacks] }].
+const findSimilarDuplicates = async (stacks, report, signal) => {
+    const hashed = [];
+    for (const stack of stacks) {
+        if (signal && signal.aborted) break;
+        try {
+            hashed.push({ stack, hash: await getHash(stack.path) });
+            report(stack.path, stack.size);
+        } catch (err) {
+            report(stack.path, stack.size, `Could not hash: ${err.message}`);
+        }
+    }
+
+    // Union-find over every close pair
+    const parent = hashed.map((_, i) => i);
+    const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    for (let i = 0; i < hashed.length; i++) {
+        for (let j = i + 1; j < hashed.length; j++) {
+            if (hashDistance(hashed[i].hash, hashed[j].hash) <= SIMILAR_MAX_DISTANCE) {
+                parent[find(j)] = find(i);
+            }
+        }
+    }
+
+    const groups = new Map();
+    hashed.forEach(({ stack }, i) => {
+        const root = find(i);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(stack);
+    });
+    return [...groups.values()]
+        .filter(group => group.length > 1)
+        .map(group => ({ photos: group.sort((a, b) => a.path.localeCompare(b.path)) }));
+};
+
+// Find duplicates anywhere under `root`: { root, exact, similar }.
+// Similar groups that are nothing but byte-identical copies are only listed as exact.
+// `onProgress` and `signal` work as for exportPhotos(); the files counted are the same-size
+// files read for their contents, then every photo read for its look. A cancelled search
+// returns the groups found so far.
+const findDuplicates = async (root, { onProgress, signal } = {}) => {
+    await checkFolder(root);
+
+    const files = (await listFiles(root, true)).filter(file => !isSidecar(file.path));
+    const bySize = groupBySize(files);
+    const stacks = await scanFolder(root, true, { signal });
+
+    const sameSize = [...bySize.entries()].flatMap(([size, paths]) => paths.map(() => size));
+    const progress = {
+        processed: 0,
+        total: sameSize.length + stacks.length,
+        bytesDone: 0,
+        bytesTotal: sameSize.reduce((sum, size) => sum + size, 0) + stacks.reduce((sum, stack) => sum + stack.size, 0)
+    };
+    const report = (file, size, error) => {
+        progress.processed++;
+        progress.bytesDone += size;
+        if (onProgress) onProgress({ ...progress, file, error });
+    };
+
+    const exact = await findExactDuplicates(bySize, report, signal);
+
+    const exactGroupOf = new Map();
+    exact.forEach((group, i) => group.files.forEach(file => exactGroupOf.set(file, i)));
+
+    const similar = (await findSimilarDuplicates(stacks, report, signal)).filter(group => {
+        const ids = group.photos.map(photo => exactGroupOf.get(photo.path));
+        return ids[0] === undefined || !ids.every(id => id === ids[0]);
+    });
+
+    return { root, exact, similar };
+};
+
+module.exports = {
+    findDuplicates
+};
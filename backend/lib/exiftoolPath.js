@@ -0,0 +1,49 @@
+const { execFile } = require('child_process');
+const { exiftool } = require('exiftool-vendored');
+
+// The exiftool binary folder scans run directly (see scanner.js), tried in order:
+//   1. PHOTOPICKS_EXIFTOOL - an explicit path, e.g. a newer system install
+//   2. the binary exiftool-vendored resolved for this platform (the one its own process runs)
+//   3. `exiftool` on the PATH
+const CANDIDATES = [
+    { source: 'env', getPath: async () => process.env.PHOTOPICKS_EXIFTOOL },
+    { source: 'vendored', getPath: () => exiftool.exiftoolPath() },
+    { source: 'system', getPath: async () => 'exiftool' }
+];
+
+const getVersion = (binary) => new Promise((resolve, reject) => {
+    execFile(binary, ['-ver'], { timeout: 10000 }, (error, stdout) => {
+        if (error) return reject(error);
+        resolve(stdout.trim());
+    });
+});
+
+let resolved = null;
+
+// Find a working exiftool: { path, version, source }
+const resolveExiftool = () => {
+    if (!resolved) {
+        resolved = (async () => {
+            const failures = [];
+            for (const { source, getPath } of CANDIDATES) {
+                try {
+                    const binary = await getPath();
+                    if (!binary) continue;
+                    // Running it is the only reliable check (e.g. the vendored script needs perl)
+                    const version = await getVersion(binary);
+                    return { path: binary, version, source };
+                } catch (err) {
+                    failures.push(`${source}: ${err.message}`);
+                }
+            }
+            throw new Error(`No working exiftool found (${failures.join('; ')})`);
+        })();
+        // Try again next time instead of caching the failure, e.g. after exiftool was installed
+        resolved.catch(() => { resolved = null; });
+    }
+    return resolved;
+};
+
+module.exports = {
+    resolveExiftool
+};
@@ -0,0 +1,235 @@
+const path = require('path');
+const fs = require('fs');
+const { exiftool } = require('exiftool-vendored');
+const { isRaw, usesSidecar, getSidecarPath, getMetadataPath, openImage } = require('./raw');
+const { selectMembers } = require('./stacks');
+const { scanStack } = require('./scanner');
+const { isInside, toSafeRelativePath } = require('./fileOps');
+
+// What to do when a file with the target name already exists
+const CONFLICT_POLICIES = ['skip', 'overwrite', 'suffix'];
+
+// Placeholders of a rename template. The extension is added after the template, and a `/`
+// in it makes subfolders, e.g. '{date}/{seq}_{name}'.
+const TEMPLATE_TOKENS = ['name', 'date', 'time', 'seq', 'rating', 'label', 'folder'];
+
+const DEFAULT_TEMPLATE = '{name}';
+const DEFAULT_QUALITY = 90;
+const SEQ_DIGITS = 4;
+
+// Tokens used in `template` that don't exist, e.g. ['nmae']
+const getUnknownTokens = (template) => (
+    [...template.matchAll(/\{([^}]*)\}/g)].map(m => m[1]).filter(token => !TEMPLATE_TOKENS.includes(token))
+);
+
+// 'YYYY-MM-DD' and 'HHmmss' of when the photo was taken, or else last modified
+const getDateParts = (photo) => {
+    const date = photo.captureDate || photo.modifiedDate || '';
+    return {
+        date: date.slice(0, 10),
+        time: date.slice(11, 19).replace(/:/g, '')
+    };
+};
+
+// Relative path (folders and base name, no extension) for a photo from the template.
+// `seq` is the photo's 1-based position in the export.
+const applyTemplate = (template, photo, seq) => {
+    const { date, time } = getDateParts(photo);
+    const values = {
+        name: path.parse(photo.path).name,
+        date,
+        time,
+        seq: String(seq).padStart(SEQ_DIGITS, '0'),
+        rating: String(photo.rating || 0),
+        label: photo.label || '',
+        folder: path.basename(path.dirname(photo.path))
+    };
+
+    return toSafeRelativePath(template.replace(/\{(\w+)\}/g, (match, token) => values[token])) || values.name;
+};
+
+// Written files are compared case-insensitively, so two names that only differ in case
+// don't clobber each other on macOS/Windows
+const toKey = (file) => path.resolve(file).toLowerCase();
+
+// Base path (no extension) for one photo's files. Every extension in `extensions` gets the
+// same base so a RAW, its JPEG and its sidecar keep matching names; with a suffix that
+// means finding a number that is free for all of them.
+const resolveBase = (base, extensions, conflict, written) => {
+    const isWritten = (candidate) => extensions.some(ext => written.has(toKey(candidate + ext)));
+    const exists = (candidate) => extensions.some(ext => fs.existsSync(candidate + ext));
+
+    // Overwriting is for replacing an earlier export, never another photo of this one
+    if (conflict === 'suffix' || (conflict === 'overwrite' && isWritten(base))) {
+        let candidate = base;
+        for (let n = 2; exists(candidate) || isWritten(candidate); n++) {
+            candidate = `${base} (${n})`;
+        }
+        return candidate;
+    }
+    return base;
+};
+
+// Re-encode `file` as a JPEG, optionally shrunk so its long edge is at most `longEdge`.
+// sharp drops all metadata; with `keepMetadata` it is copied over from the original
+// (the sidecar's rating/label/keywords for a RAW), minus the orientation, since the
+// pixels are already rotated.
+const renderJpeg = async (file, target, { longEdge, quality = DEFAULT_QUALITY, keepMetadata }) => {
+    let image = await openImage(file);
+    if (longEdge) {
+        image = image.resize(longEdge, longEdge, { fit: 'inside', withoutEnlargement: true });
+    }
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await image.jpeg({ quality }).toFile(target);
+
+    if (keepMetadata) {
+        const args = ['-tagsFromFile', file, '-all:all', '--Orientation'];
+        const metadataPath = getMetadataPath(file);
+        if (metadataPath !== file && fs.existsSync(metadataPath)) {
+            args.push('-tagsFromFile', metadataPath, '-xmp:all', '--Orientation');
+        }
+        await exiftool.write(target, {}, [...args, '-overwrite_original']);
+    }
+};
+
+// Size of a file, or 0 if it can't be read (copying it will then report why)
+const getSize = async (file) => {
+    try {
+        return (await fs.promises.stat(file)).size;
+    } catch (err) {
+        return 0;
+    }
+};
+
+// The files written for one photo: [{ from, ext, sidecar, size }], by extension.
+// `size` is what has to be read for it, sidecar included.
+const getOutputs = async (members, include, resize) => {
+    if (resize) {
+        // One picture per photo: the RAW's preview only when asked for RAW
+        const wanted = include === 'raw' ? members.filter(isRaw) : members.filter(m => !isRaw(m));
+        const from = wanted[0] || members[0];
+        return [{ from, ext: '.jpg', sidecar: null, size: await getSize(from) }];
+    }
+
+    const outputs = [];
+    for (const member of selectMembers(members, include)) {
+        const sidecarPath = usesSidecar(member) && getSidecarPath(member);
+        const sidecar = sidecarPath && fs.existsSync(sidecarPath) ? sidecarPath : null;
+        outputs.push({
+            from: member,
+            ext: path.extname(member),
+            sidecar,
+            size: await getSize(member) + (sidecar ? await getSize(sidecar) : 0)
+        });
+    }
+    return outputs;
+};
+
+// Export photos to `destination`.
+// entries: one array of member paths per photo (or a single path), in export order.
+// options:
+//   include          'both' | 'raw' | 'jpeg' - which members of a RAW+JPEG stack
+//   template         rename template, see TEMPLATE_TOKENS
+//   conflict         'skip' | 'overwrite' | 'suffix'
+//   root             with preserveFolders, the folder whose subfolder layout is recreated
+//   preserveFolders  put each photo in the same subfolder of `destination` as it is under `root`
+//   resize           null to copy the original files (with sidecars), or
+//                    { longEdge, quality, keepMetadata } to write one re-encoded JPEG per photo
+// `onProgress({ processed, total, bytesDone, bytesTotal, file, error })` fires after each
+// file (counts are files; `error` if that one failed). `signal` (AbortSignal) stops the
+// export before the next photo.
+// Returns { exported: [{ from, to }], skipped: [{ file, to }], failed: [{ file, error }] }.
+const exportPhotos = async (entries, {
+    destination,
+    include = 'both',
+    template = DEFAULT_TEMPLATE,
+    conflict = 'suffix',
+    root = null,
+    preserveFolders = false,
+    resize = null
+}, { onProgress, signal } = {}) => {
+    const result = { exported: [], skipped: [], failed: [] };
+    const written = new Set();
+
+    // Everything that will be written, up front for the totals
+    const photos = [];
+    for (const entry of entries) {
+        const members = Array.isArray(entry) ? entry : [entry];
+        photos.push({ members, outputs: await getOutputs(members, include, resize) });
+    }
+    const progress = {
+        processed: 0,
+        total: photos.reduce((sum, photo) => sum + photo.outputs.length, 0),
+        bytesDone: 0,
+        bytesTotal: photos.reduce((sum, photo) => sum + photo.outputs.reduce((s, o) => s + o.size, 0), 0)
+    };
+    const report = (output, error) => {
+        progress.processed++;
+        progress.bytesDone += output.size;
+        if (onProgress) onProgress({ ...progress, file: output.from, error });
+    };
+
+    for (const [index, { members, outputs }] of photos.entries()) {
+        if (signal && signal.aborted) break;
+
+        const file = members[0];
+        let target;
+        try {
+            // Rating, label and date for the template
+            const photo = (await scanStack(file)) || { path: file };
+
+            let dir = destination;
+            if (preserveFolders && root && isInside(root, file)) {
+                dir = path.join(destination, path.relative(root, path.dirname(file)));
+            }
+            const base = path.join(dir, applyTemplate(template, photo, index + 1));
+            const extensions = outputs.flatMap(o => (o.sidecar ? [o.ext, path.extname(o.sidecar)] : [o.ext]));
+            target = resolveBase(base, extensions, conflict, written);
+        } catch (err) {
+            outputs.forEach(output => {
+                result.failed.push({ file: output.from, error: err.message });
+                report(output, err.message);
+            });
+            continue;
+        }
+
+        const isTaken = (to) => fs.existsSync(to) || written.has(toKey(to));
+        for (const output of outputs) {
+            const to = target + output.ext;
+            const sidecarTo = output.sidecar && target + path.extname(output.sidecar);
+            // A file and its sidecar are skipped together, so an existing .xmp is never replaced
+            if (conflict === 'skip' && (isTaken(to) || (sidecarTo && isTaken(sidecarTo)))) {
+                result.skipped.push({ file: output.from, to });
+                report(output);
+                continue;
+            }
+            try {
+                if (resize) {
+                    await renderJpeg(output.from, to, resize);
+                } else {
+                    await fs.promises.mkdir(path.dirname(to), { recursive: true });
+                    await fs.promises.copyFile(output.from, to);
+                    // A RAW's rating/label lives in its sidecar, so it has to travel with it
+                    if (sidecarTo) {
+                        await fs.promises.copyFile(output.sidecar, sidecarTo);
+                        written.add(toKey(sidecarTo));
+                    }
+                }
+                written.add(toKey(to));
+                result.exported.push({ from: output.from, to });
+                report(output);
+            } catch (err) {
+                result.failed.push({ file: output.from, error: err.message });
+                report(output, err.message);
+            }
+        }
+    }
+    return result;
+};
+
+module.exports = {
+    CONFLICT_POLICIES,
+    TEMPLATE_TOKENS,
+    getUnknownTokens,
+    exportPhotos
+};
@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const { usesSidecar, getSidecarPath } = require('./raw');
+const { REJECTS_FOLDER } = require('./config');
+
+// Characters that aren't allowed in file names on at least one platform
+const UNSAFE_CHARS = /[<>:"\\|?*\x00-\x1f]/g;
+
+// Turn text with `/` separators (e.g. a filled-in name template) into a relative path
+// that stays inside its folder: unsafe characters replaced, empty and `..` parts dropped.
+// '' if nothing is left.
+const toSafeRelativePath = (text) => {
+    const segments = text
+        .split('/')
+        .map(segment => segment.replace(UNSAFE_CHARS, '_').trim())
+        .filter(segment => segment && segment !== '.' && segment !== '..');
+    return segments.length > 0 ? path.join(...segments) : '';
+};
+
+// SHA-1 of a file's contents, as hex
+const hashFile = (file) => new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha1');
+    fs.createReadStream(file)
+        .on('error', reject)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')));
+});
+
+// `name`, or `name (2)`, `name (3)`, ... - the first one not taken in `folder` with any of `exts`
+const getFreeBase = (folder, name, exts) => {
+    let base = name;
+    for (let n = 2; exts.some(ext => fs.existsSync(path.join(folder, base + ext))); n++) {
+        base = `${name} (${n})`;
+    }
+    return base;
+};
+
+// `dest`, or `name (2).ext`, `name (3).ext`, ... if that is taken
+const getFreePath = (dest) => {
+    const { dir, name, ext } = path.parse(dest);
+    return path.join(dir, getFreeBase(dir, name, [ext]) + ext);
+};
+
+// Move one file, across drives too (rename can't do that: copy, then delete)
+const moveFile = async (from, to) => {
+    await fs.promises.mkdir(path.dirname(to), { recursive: true });
+    try {
+        await fs.promises.rename(from, to);
+    } catch (err) {
+        if (err.code !== 'EXDEV') throw err;
+        await fs.promises.copyFile(from, to, fs.constants.COPYFILE_EXCL);
+        await fs.promises.unlink(from);
+    }
+};
+
+// Move a photo into `folder`: the members of its stack given in `files` (one folder, one base
+// name), together with their sidecar, which has to stay next to them and keep the same base name.
+// Never overwrites: if any of the names is taken, all files get the same number so the stack
+// stays together. Returns [{ from, to }] for every file moved.
+const movePhoto = async (files, folder) => {
+    const sidecars = files.map(file => usesSidecar(file) && getSidecarPath(file)).filter(file => file && fs.existsSync(file));
+    const all = [...new Set([...files, ...sidecars])];
+    const base = getFreeBase(folder, path.parse(files[0]).name, all.map(file => path.extname(file)));
+
+    const moved = [];
+    for (const file of all) {
+        const target = path.join(folder, base + path.extname(file));
+        await moveFile(file, target);
+        moved.push({ from: file, to: target });
+    }
+    return moved;
+};
+
+// Whether `file` is `folder` itself or somewhere below it
+const isInside = (folder, file) => {
+    const relative = path.relative(folder, file);
+    return relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+};
+
+// Move a photo (stack members, see movePhoto) into the rejects folder under `root`, keeping
+// its path relative to `root` so photos from different subfolders don't collide
+const moveToRejects = (root, files) => (
+    movePhoto(files, path.join(root, REJECTS_FOLDER, path.relative(root, path.dirname(files[0]))))
+);
+
+// Send a photo to the system trash (Recycle Bin), with its sidecar. Never a hard delete.
+// Returns the paths trashed.
+const trashPhoto = async (file) => {
+    await fs.promises.access(file); // trash() quietly skips missing files
+    const sidecar = usesSidecar(file) && getSidecarPath(file);
+    const files = sidecar && fs.existsSync(sidecar) ? [file, sidecar] : [file];
+    const { default: trash } = await import('trash'); // ESM-only package
+    await trash(files, { glob: false });
+    return files;
+};
+
+module.exports = {
+    toSafeRelativePath,
+    hashFile,
+    getFreeBase,
+    getFreePath,
+    moveFile,
+    movePhoto,
+    isInside,
+    moveToRejects,
+    trashPhoto
+};
@@ -0,0 +1,223 @@
+const path = require('path');
+const fs = require('fs');
+const { usesSidecar, getSidecarPath } = require('./raw');
+const { checkFolder, listFiles, scanFolder } = require('./scanner');
+const { getStackKey } = require('./stacks');
+const { toSafeRelativePath, hashFile, getFreeBase } = require('./fileOps');
+
+// Placeholders of the folder template: the capture date's parts and the event name
+const FOLDER_TOKENS = ['YYYY', 'MM', 'DD', 'event'];
+const DEFAULT_FOLDER_TEMPLATE = '{YYYY}/{YYYY}-{MM}-{DD}_{event}';
+
+// How a file counts as imported already:
+//   'name' - a file with the same name and size is in the folder its date puts it in,
+//            or with the number a name clash on an earlier import gave it ('IMG_0001 (2).JPG')
+//   'hash' - a file with the same contents is anywhere in the destination
+const MATCH_MODES = ['name', 'hash'];
+
+// Tokens used in `template` that don't exist
+const getUnknownFolderTokens = (template) => (
+    [...template.matchAll(/\{([^}]*)\}/g)].map(m => m[1]).filter(token => !FOLDER_TOKENS.includes(token))
+);
+
+// Folder (relative to the destination) for a photo taken at `date` (ISO string).
+// Separators left dangling by an empty event name are trimmed: '2024-05-01_' -> '2024-05-01'.
+const getFolder = (template, date, event) => {
+    const values = { YYYY: date.slice(0, 4), MM: date.slice(5, 7), DD: date.slice(8, 10), event: event || '' };
+    const filled = template
+        .replace(/\{(\w+)\}/g, (match, token) => values[token])
+        .split('/')
+        .map(segment => segment.replace(/^[\s_-]+|[\s_-]+$/g, ''))
+        .join('/');
+    return toSafeRelativePath(filled);
+};
+
+// Calendar date (YYYY-MM-DD...) a photo is filed under. The capture date is in camera
+// (local) time already; the modification time is UTC, so it goes by its local date parts,
+// or an evening shot would be filed under the next day.
+const getLocalDate = (stack) => {
+    if (stack.captureDate) return stack.captureDate;
+    const date = new Date(stack.modifiedDate);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// Names of the files in `folder`, none if it doesn't exist yet
+const listNames = (folder) => fs.promises.readdir(folder).catch(() => []);
+
+// Where a file of `size` bytes planned for `target` was imported already, going by name
+// (see MATCH_MODES). `names` lists the target's folder. Returns the path, or null.
+const findByName = async (target, size, names) => {
+    const { dir, name, ext } = path.parse(target);
+    const candidates = names.filter(entry => {
+        const parsed = path.parse(entry);
+        if (parsed.ext !== ext) return false;
+        return parsed.name === name || (parsed.name.startsWith(name) && /^ \(\d+\)$/.test(parsed.name.slice(name.length)));
+    });
+    for (const candidate of candidates) {
+        const stat = await fs.promises.stat(path.join(dir, candidate)).catch(() => null);
+        if (stat && stat.size === size) return path.join(dir, candidate);
+    }
+    return null;
+};
+
+// Contents hashes of the destination's files, grouped by size so only files that could
+// match are ever hashed: size -> [{ path, hash }] with hashes filled in on demand
+const indexDestination = async (destination) => {
+    const bySize = new Map();
+    if (!fs.existsSync(destination)) return bySize;
+    for (const file of await listFiles(destination, true)) {
+        if (!bySize.has(file.stat.size)) bySize.set(file.stat.size, []);
+        bySize.get(file.stat.size).push({ path: file.path, hash: null });
+    }
+    return bySize;
+};
+
+const isInDestination = async (file, size, index) => {
+    const candidates = index.get(size) || [];
+    if (candidates.length === 0) return false;
+    const hash = await hashFile(file);
+    for (const candidate of candidates) {
+        if (!candidate.hash) candidate.hash = await hashFile(candidate.path);
+        if (candidate.hash === hash) return true;
+    }
+    return false;
+};
+
+// What importing `source` (e.g. a card's DCIM folder, with all subfolders) into `destination`
+// would do. Returns one item per photo file:
+// [{ path, name, size, captureDate, folder, target, sidecar, sidecarSize, imported }]
+// `folder` is relative to the destination; `imported` is true for files already there.
+const planImport = async (source, destination, {
+    template = DEFAULT_FOLDER_TEMPLATE,
+    event = '',
+    match = 'name'
+} = {}) => {
+    await checkFolder(source);
+    const stacks = await scanFolder(source, true);
+    const index = match === 'hash' ? await indexDestination(destination) : null;
+    const listings = new Map(); // folder -> names, each read once
+
+    const items = [];
+    for (const stack of stacks) {
+        // The members of a RAW+JPEG pair share a date, so they land in the same folder
+        const folder = getFolder(template, getLocalDate(stack), event);
+        for (const member of stack.files) {
+            const target = path.join(destination, folder, member.name);
+            const sidecarPath = usesSidecar(member.path) && getSidecarPath(member.path);
+            const sidecarStat = sidecarPath && await fs.promises.stat(sidecarPath).catch(() => null);
+            let imported;
+            if (index) {
+                imported = await isInDestination(member.path, member.size, index);
+            } else {
+                const dir = path.dirname(target);
+                if (!listings.has(dir)) listings.set(dir, await listNames(dir));
+                imported = Boolean(await findByName(target, member.size, listings.get(dir)));
+            }
+            items.push({
+                path: member.path,
+                name: member.name,
+                size: member.size,
+                captureDate: stack.captureDate,
+                folder,
+                target,
+                sidecar: sidecarStat ? sidecarPath : null,
+                sidecarSize: sidecarStat ? sidecarStat.size : 0,
+                imported
+            });
+        }
+    }
+    return items.sort((a, b) => (a.captureDate || '').localeCompare(b.captureDate || '') || a.name.localeCompare(b.name));
+};
+
+// Copy one file, then (with `verify`) read both back and compare checksums.
+// A copy that doesn't match is deleted again.
+const copyVerified = async (from, to, verify) => {
+    await fs.promises.copyFile(from, to, fs.constants.COPYFILE_EXCL);
+    if (!verify) return;
+    const [expected, actual] = await Promise.all([hashFile(from), hashFile(to)]);
+    if (expected !== actual) {
+        await fs.promises.unlink(to);
+        throw new Error(`Checksum mismatch after copying ${path.basename(from)}`);
+    }
+};
+
+// Copy planned items (see planImport) into place, with their sidecars. Nothing is overwritten:
+// a different file with the same name gets a number, the same one for every file of a stack
+// so a RAW, its JPEG and its sidecar keep matching names. With `verify`, every copy is checked
+// against its original.
+// `onProgress` and `signal` work as for exportPhotos().
+// Returns { imported: [{ from, to }], skipped: [{ file, to }], failed: [{ file, error }] }.
+const importFiles = async (items, { verify = false } = {}, { onProgress, signal } = {}) => {
+    const result = { imported: [], skipped: [], failed: [] };
+    const progress = {
+        processed: 0,
+        total: items.length,
+        bytesDone: 0,
+        bytesTotal: items.reduce((sum, item) => sum + item.size + item.sidecarSize, 0)
+    };
+    const report = (item, error) => {
+        progress.processed++;
+        progress.bytesDone += item.size + item.sidecarSize;
+        if (onProgress) onProgress({ ...progress, file: item.path, error });
+    };
+
+    // The members of a stack share a folder and a base name, so they are copied together
+    const stacks = new Map();
+    for (const item of items) {
+        const key = getStackKey(item.path);
+        if (!stacks.has(key)) stacks.set(key, []);
+        stacks.get(key).push(item);
+    }
+
+    for (const members of stacks.values()) {
+        if (signal && signal.aborted) break;
+
+        // Re-check: the same name may have been imported since the plan was made
+        const names = await listNames(path.dirname(members[0].target));
+        const pending = [];
+        for (const item of members) {
+            const existing = await findByName(item.target, item.size, names);
+            if (existing) {
+                result.skipped.push({ file: item.path, to: existing });
+                report(item);
+            } else {
+                pending.push(item);
+            }
+        }
+        if (pending.length === 0) continue;
+
+        const folder = path.dirname(pending[0].target);
+        const extensions = pending.flatMap(item => [item.name, item.sidecar].filter(Boolean).map(file => path.extname(file)));
+        let base = null;
+        for (const item of pending) {
+            let error;
+            try {
+                if (base === null) {
+                    await fs.promises.mkdir(folder, { recursive: true });
+                    base = getFreeBase(folder, path.parse(item.name).name, extensions);
+                }
+                const to = path.join(folder, base + path.extname(item.name));
+                await copyVerified(item.path, to, verify);
+                if (item.sidecar) {
+                    await copyVerified(item.sidecar, path.join(folder, base + path.extname(item.sidecar)), verify);
+                }
+                result.imported.push({ from: item.path, to });
+            } catch (err) {
+                error = err.message;
+                result.failed.push({ file: item.path, error });
+            }
+            report(item, error);
+        }
+    }
+    return result;
+};
+
+module.exports = {
+    FOLDER_TOKENS,
+    DEFAULT_FOLDER_TEMPLATE,
+    MATCH_MODES,
+    getUnknownFolderTokens,
+    planImport,
+    importFiles
+};
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+
+// Long-running operations (exports, imports, duplicate searches) run in the background as
+// jobs, so they don't depend on one HTTP request staying open. The UI polls their progress
+// and can cancel them.
+// Jobs live in memory only; finished ones are forgotten after a while.
+const KEEP_FINISHED_MS = 60 * 60 * 1000;
+const MAX_FINISHED = 50;
+const MAX_ERRORS_SHOWN = 100;
+
+const jobs = new Map(); // id -> { job, controller }
+
+// What the API shows of a job: only the first errors, but how many there are in all
+const toJson = (job) => ({ ...job, errors: job.errors.slice(0, MAX_ERRORS_SHOWN), errorCount: job.errors.length });
+
+const pruneJobs = () => {
+    const finished = [...jobs.values()]
+        .map(entry => entry.job)
+        .filter(job => job.finishedAt)
+        .sort((a, b) => b.finishedAt.localeCompare(a.finishedAt));
+    const cutoff = new Date(Date.now() - KEEP_FINISHED_MS).toISOString();
+    finished
+        .filter((job, index) => index >= MAX_FINISHED || job.finishedAt < cutoff)
+        .forEach(job => jobs.delete(job.id));
+};
+
+// Start `run(signal, onProgress)` as a job and return it right away.
+// `onProgress({ processed, total, bytesDone, bytesTotal, file, error })` updates the job's
+// progress; an `error` is added to its per-file errors. Whatever `run` resolves to becomes
+// the job's result. `signal` (AbortSignal) is aborted when the job is cancelled; `run`
+// should then stop at the next file and resolve with what it has done.
+const startJob = (type, label, run) => {
+    pruneJobs();
+    const controller = new AbortController();
+    const job = {
+        id: crypto.randomBytes(8).toString('hex'),
+        type,
+        label,
+        status: 'running', // then 'done', 'cancelled' or 'failed'
+        processed: 0,
+        total: 0,
+        bytesDone: 0,
+        bytesTotal: 0,
+        file: null, // The last file handled
+        errors: [], // [{ file, error }]
+        result: null,
+        error: null, // Why the whole job failed
+        createdAt: new Date().toISOString(),
+        finishedAt: null
+    };
+    jobs.set(job.id, { job, controller });
+
+    const onProgress = ({ error, ...progress }) => {
+        Object.assign(job, progress);
+        if (error) job.errors.push({ file: progress.file, error });
+    };
+
+    run(controller.signal, onProgress)
+        .then(result => {
+            job.result = result;
+            job.status = controller.signal.aborted ? 'cancelled' : 'done';
+        })
+        .catch(err => {
+            console.error(`Job ${job.id} (${type}) failed:`, err);
+            job.error = err.message;
+            job.status = 'failed';
+        })
+        .finally(() => {
+            job.file = null;
+            job.finishedAt = new Date().toISOString();
+        });
+
+    return toJson(job);
+};
+
+const getJob = (id) => {
+    const entry = jobs.get(id);
+    return entry ? toJson(entry.job) : null;
+};
+
+// Newest first
+const listJobs = () => [...jobs.values()].map(entry => toJson(entry.job)).reverse();
+
+// Ask a running job to stop. Returns the job, or null if there is no such job.
+const cancelJob = (id) => {
+    const entry = jobs.get(id);
+    if (!entry) return null;
+    if (entry.job.status === 'running') entry.controller.abort();
+    return toJson(entry.job);
+};
+
+module.exports = {
+    startJob,
+    getJob,
+    listJobs,
+    cancelJob
+};
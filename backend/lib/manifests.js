@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const { DATA_DIR } = require('./config');
+const { moveFile } = require('./fileOps');
+
+// Every move of photos writes an undo manifest listing where each file went, so it can be
+// put back later - from the UI, or by hand from the JSON if it comes to that.
+const MANIFEST_DIR = path.join(DATA_DIR, 'manifests');
+
+// Older manifests are deleted once there are more than this
+const MAX_MANIFESTS = 100;
+
+// Names sort by time, oldest first
+const createId = () => `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(3).toString('hex')}`;
+
+const getManifestPath = (id) => path.join(MANIFEST_DIR, `${path.basename(id)}.json`);
+
+const pruneManifests = async () => {
+    const names = (await fs.promises.readdir(MANIFEST_DIR)).filter(name => name.endsWith('.json')).sort();
+    for (const name of names.slice(0, Math.max(0, names.length - MAX_MANIFESTS))) {
+        await fs.promises.unlink(path.join(MANIFEST_DIR, name)).catch(() => {});
+    }
+};
+
+// Record a move. action: what it was ('move', 'reject'), moved: [{ from, to }].
+// Returns the manifest id.
+const saveManifest = async (action, moved) => {
+    const id = createId();
+    await fs.promises.mkdir(MANIFEST_DIR, { recursive: true });
+    await fs.promises.writeFile(getManifestPath(id), JSON.stringify({
+        id,
+        action,
+        createdAt: new Date().toISOString(),
+        moved
+    }, null, 2));
+    await pruneManifests();
+    return id;
+};
+
+// Move the files of a manifest back where they came from, last move first.
+// A file is left alone if it is gone or its old place has been taken meanwhile.
+// The manifest is deleted once everything is back; otherwise it keeps what wasn't.
+// Returns { restored: [{ from, to }], failed: [{ file, error }] } (from/to as recorded).
+const undoManifest = async (id) => {
+    const manifestPath = getManifestPath(id);
+    const manifest = JSON.parse(await fs.promises.readFile(manifestPath, 'utf8'));
+
+    const restored = [];
+    const failed = [];
+    for (const entry of [...manifest.moved].reverse()) {
+        try {
+            if (!fs.existsSync(entry.to)) throw new Error(`No longer there: ${entry.to}`);
+            if (fs.existsSync(entry.from)) throw new Error(`Something else is in its place: ${entry.from}`);
+            await moveFile(entry.to, entry.from);
+            restored.push(entry);
+        } catch (err) {
+            failed.push({ file: entry.to, error: err.message });
+        }
+    }
+
+    if (failed.length === 0) {
+        await fs.promises.unlink(manifestPath);
+    } else {
+        const left = new Set(failed.map(f => f.file));
+        await fs.promises.writeFile(manifestPath, JSON.stringify({
+            ...manifest,
+            moved: manifest.moved.filter(entry => left.has(entry.to))
+        }, null, 2));
+    }
+    return { restored, failed };
+};
+
+module.exports = {
+    saveManifest,
+    undoManifest
+};
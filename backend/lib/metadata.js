@@ -0,0 +1,187 @@
+const { exiftool } = require('exiftool-vendored');
+const fs = require('fs');
+const { usesSidecar, getMetadataPath } = require('./raw');
+const photoIndex = require('./photoIndex');
+
+// Windows Explorer uses RatingPercent (0-99)
+const RATING_PERCENT = { 0: 0, 1: 1, 2: 25, 3: 50, 4: 75, 5: 99 };
+
+// Known color labels, kept out of the keyword list to avoid duplicates/conflicts
+const COLOR_LABELS = ['Red', 'Yellow', 'Green', 'Blue', 'Purple', 'Orange', 'Gray'];
+
+// Pick/reject flags. Lightroom and Bridge show XMP:Rating -1 as "Rejected"; there is no
+// standard tag for picks, so picked photos carry this keyword.
+const FLAGS = ['pick', 'reject'];
+const REJECT_RATING = -1;
+const PICK_KEYWORD = 'Pick';
+
+// Keywords of a file as an array. Works on exiftool.read() tags and raw scan JSON alike.
+const getKeywords = (tags) => {
+    let keywords = tags.Keywords || tags.Subject || [];
+    // Ensure it's an array (exiftool might return a string for single keyword)
+    if (!Array.isArray(keywords)) keywords = [keywords];
+    return keywords.map(String);
+};
+
+// Keywords we manage for labels and picks, as opposed to the user's own
+const isManagedKeyword = (keyword) => COLOR_LABELS.includes(keyword) || keyword === PICK_KEYWORD;
+
+// The user's own keywords
+const getUserKeywords = (tags) => getKeywords(tags).filter(k => !isManagedKeyword(k));
+
+// 'pick', 'reject' or null
+const getFlag = (tags) => {
+    if (Number(tags.Rating) === REJECT_RATING) return 'reject';
+    if (getKeywords(tags).includes(PICK_KEYWORD)) return 'pick';
+    return null;
+};
+
+// Star rating, with a rejected photo counting as unrated
+const getRating = (tags) => Math.max(0, Number(tags.Rating) || 0);
+
+// Read the tags that hold a file's rating/label/flag.
+// Proprietary RAWs keep them in a .xmp sidecar, falling back to the RAW itself.
+const readMetadata = async (file) => {
+    const metadataPath = getMetadataPath(file);
+    return exiftool.read(fs.existsSync(metadataPath) ? metadataPath : file);
+};
+
+const toDateString = (value) => {
+    if (!value) return null;
+    return typeof value.toISOString === 'function' ? value.toISOString() : String(value);
+};
+
+// Shooting details for the info panel. Read from the image itself - a RAW's sidecar
+// only holds our rating/label/flag.
+const readDetails = async (file) => {
+    const tags = await exiftool.read(file);
+    const hasGps = typeof tags.GPSLatitude === 'number' && typeof tags.GPSLongitude === 'number';
+
+    return {
+        camera: [tags.Make, tags.Model].filter(Boolean).join(' ') || null,
+        lens: tags.LensModel || tags.LensID || tags.Lens || null,
+        focalLength: tags.FocalLength || null,
+        aperture: tags.FNumber ? `f/${tags.FNumber}` : null,
+        shutter: tags.ExposureTime ? `${tags.ExposureTime}s` : null,
+        iso: tags.ISO || null,
+        exposureCompensation: tags.ExposureCompensation ?? null,
+        captureDate: toDateString(tags.DateTimeOriginal || tags.CreateDate),
+        width: tags.ImageWidth || null,
+        height: tags.ImageHeight || null,
+        gps: hasGps
+            ? { latitude: tags.GPSLatitude, longitude: tags.GPSLongitude, altitude: tags.GPSAltitude ?? null }
+            : null
+    };
+};
+
+// Write rating, label and/or flag (undefined = leave as is) to a single file, and add or
+// remove user keywords (`addKeywords`/`removeKeywords`, arrays of exact keywords).
+// Rejecting replaces the star rating (Rating -1), so a 'reject' flag wins over any rating
+// passed along with it; setting stars on a rejected photo un-rejects it.
+const writeMetadata = async (file, { rating, label, flag, addKeywords = [], removeKeywords = [] }) => {
+    if (flag !== undefined && flag !== null && !FLAGS.includes(flag)) {
+        throw new Error(`Invalid flag: ${flag}`);
+    }
+    const reserved = [...addKeywords, ...removeKeywords].find(isManagedKeyword);
+    if (reserved) {
+        throw new Error(`"${reserved}" is set through the label or flag, not as a keyword`);
+    }
+    const keywordsChanged = addKeywords.length > 0 || removeKeywords.length > 0;
+
+    // Proprietary RAWs are never modified - their metadata goes to a .xmp sidecar,
+    // which can only hold XMP tags
+    const sidecar = usesSidecar(file);
+    const targetFile = getMetadataPath(file);
+
+    // Current tags, to preserve keywords and know whether the photo is rejected
+    // (a sidecar may not exist yet)
+    const before = fs.existsSync(targetFile) ? await fs.promises.stat(targetFile) : null;
+    const currentMeta = before ? await exiftool.read(targetFile) : {};
+    const currentFlag = getFlag(currentMeta);
+
+    // The rating to write: rejecting sets it, an explicit one comes next, un-rejecting resets it
+    let newRating = rating;
+    if (flag === 'reject') newRating = REJECT_RATING;
+    if (rating === undefined && flag !== undefined && flag !== 'reject' && currentFlag === 'reject') {
+        newRating = 0; // Un-rejecting
+    }
+
+    // The flag the file ends up with
+    let newFlag = flag === undefined ? currentFlag : flag;
+    if (newRating !== undefined) {
+        if (newRating === REJECT_RATING) newFlag = 'reject';
+        else if (newFlag === 'reject') newFlag = null;
+    }
+
+    const tagsToWrite = {};
+
+    if (newRating !== undefined) {
+        tagsToWrite['XMP:Rating'] = newRating;
+        if (!sidecar && newRating === REJECT_RATING) {
+            // EXIF:Rating can't hold -1, and would win over XMP when read back, so a
+            // rejected photo has it removed (it shows as unrated in Explorer)
+            tagsToWrite['EXIF:Rating'] = null;
+            tagsToWrite['RatingPercent'] = 0;
+        } else if (!sidecar) {
+            // Write to multiple tags for maximum compatibility
+            tagsToWrite['Rating'] = newRating;
+            tagsToWrite['RatingPercent'] = RATING_PERCENT[newRating] || 0;
+        }
+    }
+
+    if (label !== undefined) {
+        tagsToWrite['XMP:Label'] = label;
+        if (!sidecar) tagsToWrite['Label'] = label;
+    }
+
+    // Label and pick flag also live in Keywords (Tags), which Windows Explorer shows
+    let keywords = getKeywords(currentMeta);
+    if (label !== undefined || flag !== undefined || keywordsChanged) {
+        // Other keywords are kept as they are, in their order
+        keywords = keywords.filter(k => !removeKeywords.includes(k));
+        addKeywords.forEach(k => {
+            if (!keywords.includes(k)) keywords.push(k);
+        });
+
+        if (label !== undefined) {
+            keywords = keywords.filter(k => !COLOR_LABELS.includes(k));
+            // Add the new label as a keyword
+            if (label) keywords.push(label);
+        }
+
+        if (flag !== undefined) {
+            keywords = keywords.filter(k => k !== PICK_KEYWORD);
+            if (flag === 'pick') keywords.push(PICK_KEYWORD);
+        }
+
+        tagsToWrite['Subject'] = keywords; // XMP:Subject
+        if (!sidecar) {
+            tagsToWrite['Keywords'] = keywords;
+            tagsToWrite['XPKeywords'] = keywords.join(';'); // Windows specific
+        }
+    }
+
+    // Write metadata and prevent creating a backup file (_original).
+    // Writing to a sidecar that doesn't exist yet creates it.
+    await exiftool.write(targetFile, tagsToWrite, ['-overwrite_original']);
+
+    // Keep the scan index in step so the next folder scan doesn't have to re-read this file
+    await photoIndex.update(targetFile, before, {
+        rating: newRating === undefined ? undefined : Math.max(0, newRating),
+        label: label === undefined ? undefined : (label || null),
+        flag: newFlag,
+        keywords: keywords.filter(k => !isManagedKeyword(k))
+    });
+};
+
+module.exports = {
+    COLOR_LABELS,
+    FLAGS,
+    isManagedKeyword,
+    getFlag,
+    getRating,
+    getUserKeywords,
+    readMetadata,
+    readDetails,
+    writeMetadata
+};
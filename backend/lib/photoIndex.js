@@ -0,0 +1,137 @@
+const path = require('path');
+const fs = require('fs');
+const { DATA_DIR } = require('./config');
+const { getStackKey } = require('./stacks');
+
+// Local index of what exiftool told us about each file, so folder scans only
+// re-read files whose mtime or size changed since the last scan.
+// Stored as one JSON file: { version, entries: { [absolutePath]: entry } }
+// entry: { mtimeMs, size, rating, label, flag, keywords, captureDate, camera, lens, dhash?, quality? }
+// (dhash and quality are only there once a photo was hashed/scored, see similarity.js and quality.js)
+const INDEX_FILE = path.join(DATA_DIR, 'index.json');
+const INDEX_VERSION = 4;
+
+// Coalesce bursts of updates (a rating spree, a big scan) into one write
+const SAVE_DELAY_MS = 1000;
+
+let entries = null;
+let loaded = null;
+let dirty = false;
+let saveTimer = null;
+
+const normalize = (file) => path.resolve(file);
+
+const load = () => {
+    if (!loaded) {
+        loaded = (async () => {
+            try {
+                const data = JSON.parse(await fs.promises.readFile(INDEX_FILE, 'utf8'));
+                entries = new Map(data.version === INDEX_VERSION ? Object.entries(data.entries) : []);
+            } catch (err) {
+                if (err.code !== 'ENOENT') console.error("Could not read photo index, starting fresh:", err.message);
+                entries = new Map();
+            }
+        })();
+    }
+    return loaded;
+};
+
+const serialize = () => JSON.stringify({ version: INDEX_VERSION, entries: Object.fromEntries(entries) });
+
+const save = async () => {
+    saveTimer = null;
+    if (!dirty) return;
+    dirty = false;
+    try {
+        // Write to a temp file and rename so a crash never leaves a truncated index
+        const tmpFile = `${INDEX_FILE}.tmp`;
+        await fs.promises.mkdir(DATA_DIR, { recursive: true });
+        await fs.promises.writeFile(tmpFile, serialize());
+        await fs.promises.rename(tmpFile, INDEX_FILE);
+    } catch (err) {
+        console.error("Error saving photo index:", err);
+        dirty = true;
+    }
+};
+
+const scheduleSave = () => {
+    dirty = true;
+    if (!saveTimer) saveTimer = setTimeout(save, SAVE_DELAY_MS);
+};
+
+// Synchronous last-chance save for process exit
+const flush = () => {
+    if (!dirty || !entries) return;
+    try {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+        fs.writeFileSync(INDEX_FILE, serialize());
+        dirty = false;
+    } catch (err) {
+        console.error("Error saving photo index:", err);
+    }
+};
+
+const isFresh = (entry, stat) => entry.mtimeMs === stat.mtimeMs && entry.size === stat.size;
+
+// Index entry for `file` if it is still valid for the given fs.Stats, else null
+const getFresh = async (file, stat) => {
+    await load();
+    const entry = entries.get(normalize(file));
+    if (!entry || !isFresh(entry, stat)) return null;
+    return entry;
+};
+
+const set = async (file, stat, data) => {
+    await load();
+    entries.set(normalize(file), { ...data, mtimeMs: stat.mtimeMs, size: stat.size });
+    scheduleSave();
+};
+
+// Merge `changes` into the entry of `file`: a metadata write we just made (to the image,
+// or a RAW's sidecar) or something computed from the file (a hash, scores). `before` is the
+// file's fs.Stats the changes were based on, taken before any write.
+// Only an entry that was current at `before` takes them, and is re-stamped with the file's
+// mtime now (a write changed it). A stale one is dropped instead: its other fields are out of
+// date, so the next scan has to read the file in full. Files the index doesn't know yet are
+// left for the next scan too.
+const update = async (file, before, changes) => {
+    await load();
+    const key = normalize(file);
+    const entry = entries.get(key);
+    if (!entry) return;
+    if (!before || !isFresh(entry, before)) {
+        entries.delete(key);
+        scheduleSave();
+        return;
+    }
+    const stat = await fs.promises.stat(key);
+    const defined = Object.fromEntries(Object.entries(changes).filter(([, value]) => value !== undefined));
+    entries.set(key, { ...entry, ...defined, mtimeMs: stat.mtimeMs, size: stat.size });
+    scheduleSave();
+};
+
+// Drop entries for files under `folder` that a scan no longer found.
+// `stackKey` narrows it down to the members of one RAW+JPEG stack.
+const prune = async (folder, recursive, seen, stackKey) => {
+    await load();
+    const root = normalize(folder);
+    for (const key of entries.keys()) {
+        const inScope = recursive
+            ? key.startsWith(root + path.sep)
+            : path.dirname(key) === root;
+        const inStack = !stackKey || getStackKey(key) === stackKey;
+        if (inScope && inStack && !seen.has(key)) {
+            entries.delete(key);
+            dirty = true;
+        }
+    }
+    if (dirty) scheduleSave();
+};
+
+module.exports = {
+    getFresh,
+    set,
+    update,
+    prune,
+    flush
+};
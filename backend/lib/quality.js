@@ -0,0 +1,92 @@
+const fs = require('fs');
+const { openImage } = require('./raw');
+const photoIndex = require('./photoIndex');
+
+// Scores are computed on a fixed-size copy, so they compare across cameras and resolutions
+const ANALYSIS_SIZE = 1024;
+
+// Sharpness is measured per cell of a GRID x GRID grid and the sharpest cell wins: a sharp
+// subject on a blurred background is in focus, even though most of the frame is soft.
+const GRID = 4;
+
+// Luminance at or beyond these counts as clipped
+const SHADOW_CLIP = 4;
+const HIGHLIGHT_CLIP = 251;
+
+// Variance of the Laplacian (edge strength) over one cell of a greyscale image
+const laplacianVariance = (data, width, x0, y0, x1, y1) => {
+    let sum = 0;
+    let sumSquares = 0;
+    let count = 0;
+    for (let y = Math.max(1, y0); y < Math.min(y1, (data.length / width) - 1); y++) {
+        for (let x = Math.max(1, x0); x < Math.min(x1, width - 1); x++) {
+            const i = y * width + x;
+            const value = data[i - width] + data[i + width] + data[i - 1] + data[i + 1] - 4 * data[i];
+            sum += value;
+            sumSquares += value * value;
+            count++;
+        }
+    }
+    if (count === 0) return 0;
+    const mean = sum / count;
+    return sumSquares / count - mean * mean;
+};
+
+// { sharpness, highlights, shadows, brightness }: sharpness is the Laplacian variance of
+// the sharpest region (higher = sharper), highlights/shadows the percentage of clipped
+// pixels, brightness the mean luminance (0-255)
+const computeQuality = async (file) => {
+    const image = await openImage(file);
+    const { data, info } = await image
+        .resize(ANALYSIS_SIZE, ANALYSIS_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .removeAlpha()
+        .greyscale()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    const { width, height } = info;
+    let sharpness = 0;
+    for (let row = 0; row < GRID; row++) {
+        for (let column = 0; column < GRID; column++) {
+            const variance = laplacianVariance(
+                data, width,
+                Math.floor(column * width / GRID), Math.floor(row * height / GRID),
+                Math.floor((column + 1) * width / GRID), Math.floor((row + 1) * height / GRID)
+            );
+            sharpness = Math.max(sharpness, variance);
+        }
+    }
+
+    let highlights = 0;
+    let shadows = 0;
+    let total = 0;
+    for (let i = 0; i < data.length; i++) {
+        if (data[i] >= HIGHLIGHT_CLIP) highlights++;
+        else if (data[i] <= SHADOW_CLIP) shadows++;
+        total += data[i];
+    }
+
+    const percent = (count) => Math.round((count / data.length) * 1000) / 10;
+    return {
+        sharpness: Math.round(sharpness),
+        highlights: percent(highlights),
+        shadows: percent(shadows),
+        brightness: Math.round(total / data.length)
+    };
+};
+
+// Scores of `file`, kept in the photo index next to its metadata until the file changes
+const getQuality = async (file) => {
+    const stat = await fs.promises.stat(file);
+    const entry = await photoIndex.getFresh(file, stat);
+    if (entry && entry.quality) return entry.quality;
+
+    const quality = await computeQuality(file);
+    await photoIndex.update(file, stat, { quality });
+    return quality;
+};
+
+module.exports = {
+    computeQuality,
+    getQuality
+};
@@ -0,0 +1,82 @@
+const { exiftool } = require('exiftool-vendored');
+const sharp = require('sharp');
+const path = require('path');
+const fs = require('fs');
+
+// Formats sharp (and the browser) can decode directly
+const IMAGE_EXTENSIONS = ['jpg', 'jpeg', 'png'];
+
+// Camera RAW formats. We never decode the sensor data ourselves - we show the
+// JPEG preview the camera embedded in the file.
+const RAW_EXTENSIONS = ['cr2', 'cr3', 'nef', 'arw', 'dng', 'raf', 'orf', 'rw2', 'pef', 'srw'];
+
+// DNG is an open format that is designed to hold XMP, so we write into it
+// directly. Proprietary RAWs get a .xmp sidecar instead (same as Lightroom).
+const SIDECAR_FREE_RAW_EXTENSIONS = ['dng'];
+
+// Embedded previews to try, largest first. Canon/Sony/Fuji use PreviewImage,
+// Nikon/Panasonic use JpgFromRaw.
+const PREVIEW_TAGS = ['JpgFromRaw', 'PreviewImage', 'ThumbnailImage'];
+
+// Rotation for EXIF Orientation values. Embedded previews usually have no
+// orientation of their own, so we apply the RAW's.
+const ORIENTATION_ANGLES = { 3: 180, 6: 90, 8: 270 };
+
+const SUPPORTED_EXTENSIONS = [...IMAGE_EXTENSIONS, ...RAW_EXTENSIONS];
+
+const getExtension = (file) => path.extname(file).slice(1).toLowerCase();
+
+const isRaw = (file) => RAW_EXTENSIONS.includes(getExtension(file));
+
+const isSidecar = (file) => getExtension(file) === 'xmp';
+
+const usesSidecar = (file) => isRaw(file) && !SIDECAR_FREE_RAW_EXTENSIONS.includes(getExtension(file));
+
+// Lightroom convention: IMG_0001.CR2 -> IMG_0001.xmp (extension replaced, not appended).
+// Prefer an existing sidecar if another tool wrote it with an upper-case extension.
+const getSidecarPath = (file) => {
+    const base = path.join(path.dirname(file), path.parse(file).name);
+    const upper = `${base}.XMP`;
+    if (!fs.existsSync(`${base}.xmp`) && fs.existsSync(upper)) return upper;
+    return `${base}.xmp`;
+};
+
+// The file metadata should be read from and written to
+const getMetadataPath = (file) => (usesSidecar(file) ? getSidecarPath(file) : file);
+
+// Pull the largest embedded JPEG out of a RAW file
+const extractPreview = async (file) => {
+    for (const tag of PREVIEW_TAGS) {
+        try {
+            const buffer = await exiftool.extractBinaryTagToBuffer(tag, file);
+            if (buffer && buffer.length > 0) return buffer;
+        } catch (err) {
+            // Tag not present in this format, try the next one
+        }
+    }
+    throw new Error(`No embedded preview found in ${path.basename(file)}`);
+};
+
+// Open any supported file as an auto-rotated sharp pipeline
+const openImage = async (file) => {
+    if (!isRaw(file)) {
+        return sharp(file).rotate(); // Auto-rotate based on EXIF orientation
+    }
+
+    const [preview, tags] = await Promise.all([extractPreview(file), exiftool.read(file)]);
+    const angle = ORIENTATION_ANGLES[tags.Orientation];
+    return angle ? sharp(preview).rotate(angle) : sharp(preview).rotate();
+};
+
+module.exports = {
+    IMAGE_EXTENSIONS,
+    RAW_EXTENSIONS,
+    SUPPORTED_EXTENSIONS,
+    isRaw,
+    isSidecar,
+    usesSidecar,
+    getSidecarPath,
+    getMetadataPath,
+    extractPreview,
+    openImage
+};
@@ -0,0 +1,258 @@
+const { execFile } = require('child_process');
+const glob = require('fast-glob');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { SUPPORTED_EXTENSIONS, isRaw, isSidecar, usesSidecar } = require('./raw');
+const { groupStacks, getStackKey } = require('./stacks');
+const photoIndex = require('./photoIndex');
+const { resolveExiftool } = require('./exiftoolPath');
+const { getFlag, getRating, getUserKeywords } = require('./metadata');
+const { REJECTS_FOLDER } = require('./config');
+
+// Files per exiftool run when scanning in batches
+const BATCH_SIZE = 200;
+
+// A scan failure the client can act on. `code` is machine-readable,
+// `status` is the HTTP status to answer with.
+class ScanError extends Error {
+    constructor(code, message, status = 500) {
+        super(message);
+        this.name = 'ScanError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+// Tags we keep per file. -fast skips reading to the end of the file (no thumbnails etc.)
+const SCAN_TAGS = ['-Rating', '-Label', '-Keywords', '-Subject', '-DateTimeOriginal', '-Make', '-Model', '-LensModel', '-Lens'];
+
+const getExiftoolPath = async () => {
+    try {
+        const { path: binary } = await resolveExiftool();
+        return binary;
+    } catch (err) {
+        // If we can't find the binary, we can't run the batch scan
+        console.error("Could not find exiftool binary path:", err);
+        throw new ScanError('EXIFTOOL_FAILED', err.message);
+    }
+};
+
+// "2024:05:01 14:03:22" (EXIF) -> "2024-05-01T14:03:22" (sortable, Date-parsable)
+const toIsoDate = (value) => (
+    typeof value === 'string' ? value.replace(/^(\d{4}):(\d{2}):(\d{2}) /, '$1-$2-$3T') : null
+);
+
+const SCANNED_EXTENSIONS = [...SUPPORTED_EXTENSIONS, 'xmp'];
+
+// Photos and sidecars - everything a scan looks at
+const isScannable = (file) => SCANNED_EXTENSIONS.includes(path.extname(file).slice(1).toLowerCase());
+
+// List photos and sidecars in a folder with their fs stats
+const listFiles = async (folderPath, recursive) => {
+    const extensions = SCANNED_EXTENSIONS.join(',');
+    const found = await glob(`*.{${extensions}}`, {
+        cwd: folderPath,
+        baseNameMatch: true,
+        caseSensitiveMatch: false,
+        deep: recursive ? Infinity : 1,
+        onlyFiles: true,
+        stats: true,
+        ignore: [`**/${REJECTS_FOLDER}/**`],
+        suppressErrors: true // Skip folders we can't read instead of failing the whole scan
+    });
+    return found.map(entry => ({ path: path.join(folderPath, entry.path), stat: entry.stats }));
+};
+
+// Read SCAN_TAGS for many files in one exiftool run. File names go through an
+// argfile (-@) so thousands of files don't overflow the command line.
+const readTags = async (files) => {
+    if (files.length === 0) return [];
+
+    const argFile = path.join(os.tmpdir(), `photopicks-scan-${process.pid}-${Date.now()}.txt`);
+    await fs.promises.writeFile(argFile, files.join('\n'), 'utf8');
+
+    try {
+        const args = ['-json', '-fast', '-charset', 'filename=utf8', ...SCAN_TAGS, '-@', argFile];
+        // We need to increase maxBuffer because the JSON can be huge for many photos
+        const exiftoolPath = await getExiftoolPath();
+        const stdout = await new Promise((resolve, reject) => {
+            execFile(exiftoolPath, args, { maxBuffer: 1024 * 1024 * 50 }, (error, out, stderr) => {
+                if (error) {
+                    console.error("Exiftool error:", stderr || error.message);
+                    // exiftool exits non-zero if any single file fails, but still reports the rest.
+                    // No output at all means exiftool itself failed.
+                    if (!out) {
+                        return reject(new ScanError('EXIFTOOL_FAILED', `Exiftool failed: ${(stderr || error.message).trim()}`));
+                    }
+                }
+                resolve(out);
+            });
+        });
+
+        try {
+            return JSON.parse(stdout);
+        } catch (parseErr) {
+            throw new ScanError('EXIFTOOL_FAILED', `Could not parse exiftool output: ${parseErr.message}`);
+        }
+    } finally {
+        fs.promises.rm(argFile, { force: true }).catch(() => {});
+    }
+};
+
+// Turn listed files into photo stacks, only running exiftool on files the index
+// doesn't already know in their current version
+const buildStacks = async (files) => {
+    const known = new Map();
+    const stale = [];
+    for (const file of files) {
+        const entry = await photoIndex.getFresh(file.path, file.stat);
+        if (entry) known.set(file.path, entry);
+        else stale.push(file);
+    }
+
+    if (stale.length > 0) {
+        console.log(`Reading metadata for ${stale.length} of ${files.length} files`);
+        const statsByPath = new Map(stale.map(file => [path.resolve(file.path), file.stat]));
+        for (const item of await readTags(stale.map(file => file.path))) {
+            const filePath = path.resolve(item.SourceFile);
+            const stat = statsByPath.get(filePath);
+            if (!stat) continue;
+            const entry = {
+                rating: getRating(item),
+                label: item.Label || null,
+                flag: getFlag(item),
+                keywords: getUserKeywords(item),
+                captureDate: toIsoDate(item.DateTimeOriginal),
+                camera: [item.Make, item.Model].filter(Boolean).join(' ') || null,
+                lens: item.LensModel || item.Lens || null
+            };
+            known.set(filePath, entry);
+            await photoIndex.set(filePath, stat, entry);
+        }
+    }
+
+    // Sidecars aren't photos themselves, they carry the rating/label of their RAW
+    const sidecars = new Map();
+    files
+        .filter(file => isSidecar(file.path) && known.has(file.path))
+        .forEach(file => sidecars.set(getStackKey(file.path), known.get(file.path)));
+
+    const photos = files
+        .filter(file => !isSidecar(file.path))
+        .map(file => {
+            // Files exiftool couldn't read are still listed, just without metadata
+            const entry = known.get(file.path) || {};
+            const sidecar = usesSidecar(file.path) && sidecars.get(getStackKey(file.path));
+            const meta = sidecar || entry;
+            return {
+                name: path.basename(file.path),
+                path: file.path,
+                size: file.stat.size,
+                isRaw: isRaw(file.path),
+                rating: meta.rating || 0,
+                label: meta.label || null,
+                flag: meta.flag || null,
+                keywords: meta.keywords || [],
+                captureDate: entry.captureDate || null,
+                camera: entry.camera || null,
+                lens: entry.lens || null,
+                quality: entry.quality || null, // Sharpness/exposure scores, once computed
+                modifiedDate: file.stat.mtime.toISOString()
+            };
+        });
+
+    // RAW+JPEG pairs become one entry with a list of member files
+    return groupStacks(photos);
+};
+
+// Make sure `folderPath` is a folder we can read, so a bad path is reported
+// instead of looking like an empty folder
+const checkFolder = async (folderPath) => {
+    try {
+        const stat = await fs.promises.stat(folderPath);
+        if (!stat.isDirectory()) {
+            throw new ScanError('NOT_A_FOLDER', `Not a folder: ${folderPath}`, 400);
+        }
+        await fs.promises.access(folderPath, fs.constants.R_OK);
+    } catch (err) {
+        if (err instanceof ScanError) throw err;
+        if (err.code === 'ENOENT') throw new ScanError('FOLDER_NOT_FOUND', `Folder not found: ${folderPath}`, 404);
+        if (err.code === 'EACCES' || err.code === 'EPERM') {
+            throw new ScanError('PERMISSION_DENIED', `Permission denied: ${folderPath}`, 403);
+        }
+        throw err;
+    }
+};
+
+// Scan a folder into photo stacks.
+// With `onBatch`, files are read BATCH_SIZE at a time and each batch of stacks is handed
+// over as soon as it is ready ({ photos, processed, total } - counts are files), so a UI
+// can fill in while the scan runs. `onStart({ total })` fires once the files are listed.
+// `signal` (AbortSignal) stops a scan between batches.
+const scanFolder = async (folderPath, recursive, { onStart, onBatch, signal } = {}) => {
+    await checkFolder(folderPath);
+
+    const files = await listFiles(folderPath, recursive);
+    await photoIndex.prune(folderPath, recursive, new Set(files.map(file => path.resolve(file.path))));
+    if (onStart) await onStart({ total: files.length });
+
+    // Keep the members of a stack (and sidecars) next to each other so a batch never splits them
+    files.sort((a, b) => getStackKey(a.path).localeCompare(getStackKey(b.path)));
+
+    const batchSize = onBatch ? BATCH_SIZE : files.length;
+    const photos = [];
+    let start = 0;
+    while (start < files.length) {
+        if (signal && signal.aborted) break;
+
+        let end = Math.min(start + batchSize, files.length);
+        while (end < files.length && getStackKey(files[end].path) === getStackKey(files[end - 1].path)) end++;
+
+        const stacks = await buildStacks(files.slice(start, end));
+        photos.push(...stacks);
+        if (onBatch) await onBatch({ photos: stacks, processed: end, total: files.length });
+        start = end;
+    }
+    return photos;
+};
+
+// Re-scan the single stack `file` belongs to (its RAW, JPEG and sidecar).
+// Returns null once none of its files exist anymore.
+const scanStack = async (file) => {
+    const dir = path.dirname(path.resolve(file));
+    const stackKey = getStackKey(file);
+
+    let names = [];
+    try {
+        names = await fs.promises.readdir(dir);
+    } catch (err) {
+        if (err.code !== 'ENOENT') throw err; // The whole folder is gone
+    }
+
+    const files = [];
+    for (const name of names) {
+        const filePath = path.join(dir, name);
+        if (getStackKey(filePath) !== stackKey || !isScannable(filePath)) continue;
+        try {
+            files.push({ path: filePath, stat: await fs.promises.stat(filePath) });
+        } catch (err) {
+            // Removed while we were looking
+        }
+    }
+
+    // Forget index entries for members that were deleted
+    await photoIndex.prune(dir, false, new Set(files.map(f => f.path)), stackKey);
+
+    const [stack] = await buildStacks(files);
+    return stack || null;
+};
+
+module.exports = {
+    ScanError,
+    isScannable,
+    listFiles,
+    checkFolder,
+    scanFolder,
+    scanStack
+};
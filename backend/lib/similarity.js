@@ -0,0 +1,61 @@
+const fs = require('fs');
+const { openImage } = require('./raw');
+const photoIndex = require('./photoIndex');
+
+// Perceptual hashes (dHash): the image is shrunk to 9x8 greyscale and each bit says whether
+// a pixel is darker than its right-hand neighbour. Resizing, re-encoding and small exposure
+// changes keep the hash (nearly) the same, so the bits that differ measure how similar
+// two images look. 64 bits, stored as 16 hex digits.
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+const computeHash = async (file) => {
+    const image = await openImage(file);
+    const data = await image
+        .removeAlpha()
+        .greyscale()
+        .resize(HASH_WIDTH, HASH_HEIGHT, { fit: 'fill' })
+        .raw()
+        .toBuffer();
+
+    let bits = '';
+    for (let y = 0; y < HASH_HEIGHT; y++) {
+        for (let x = 0; x < HASH_WIDTH - 1; x++) {
+            const i = y * HASH_WIDTH + x;
+            bits += data[i] < data[i + 1] ? '1' : '0';
+        }
+    }
+    return BigInt(`0b${bits}`).toString(16).padStart(16, '0');
+};
+
+// Set bits in a 32-bit integer
+const popCount = (n) => {
+    let v = n - ((n >>> 1) & 0x55555555);
+    v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+    return (((v + (v >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+};
+
+// Number of differing bits between two hashes (0 = look the same, 64 = opposite).
+// Done in two 32-bit halves: duplicate detection compares every pair of photos.
+const hashDistance = (a, b) => (
+    popCount(parseInt(a.slice(0, 8), 16) ^ parseInt(b.slice(0, 8), 16))
+    + popCount(parseInt(a.slice(8), 16) ^ parseInt(b.slice(8), 16))
+);
+
+// Hash of `file`, kept in the photo index next to its metadata until the file changes
+const getHash = async (file) => {
+    const stat = await fs.promises.stat(file);
+    const entry = await photoIndex.getFresh(file, stat);
+    if (entry && entry.dhash) return entry.dhash;
+
+    const hash = await computeHash(file);
+    // Files the index doesn't know yet (or has out of date) are hashed again next time
+    await photoIndex.update(file, stat, { dhash: hash });
+    return hash;
+};
+
+module.exports = {
+    computeHash,
+    hashDistance,
+    getHash
+};
@@ -0,0 +1,65 @@
+const path = require('path');
+const { isRaw } = require('./raw');
+
+// Files that share a folder and a basename (IMG_0001.CR2 + IMG_0001.JPG) are
+// the same shot, so they are shown and rated as one stack. Only the extension's case
+// doesn't matter: on case-sensitive file systems IMG_1.CR2 and img_1.jpg are different shots.
+// Also matches a RAW to its sidecar (IMG_0001.xmp).
+const getStackKey = (file) => path.join(path.dirname(file), path.parse(file).name);
+
+// Group a flat list of photos ({ name, path, size, isRaw, rating, label, flag, keywords, captureDate, camera, lens, quality, modifiedDate })
+// into stacks.
+// The stack takes its name/path from its primary member: the JPEG if there is one,
+// since it previews faster and is what the camera rendered.
+const groupStacks = (photos) => {
+    const groups = new Map();
+    for (const photo of photos) {
+        const key = getStackKey(photo.path);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(photo);
+    }
+
+    return [...groups.values()].map(members => {
+        members.sort((a, b) => Number(a.isRaw) - Number(b.isRaw) || a.name.localeCompare(b.name));
+        const primary = members[0];
+        // Members can disagree if they were rated elsewhere; take the first one that has a value
+        const rated = members.find(m => m.rating) || primary;
+        const labeled = members.find(m => m.label) || primary;
+        const flagged = members.find(m => m.flag) || primary;
+        const tagged = members.find(m => m.keywords.length > 0) || primary;
+
+        return {
+            id: getStackKey(primary.path), // Stable across RAW/JPEG members coming and going
+            name: primary.name,
+            path: primary.path,
+            size: primary.size,
+            isRaw: members.some(m => m.isRaw),
+            rating: rated.rating,
+            label: labeled.label,
+            flag: flagged.flag,
+            keywords: tagged.keywords,
+            captureDate: (members.find(m => m.captureDate) || primary).captureDate,
+            camera: (members.find(m => m.camera) || primary).camera,
+            lens: (members.find(m => m.lens) || primary).lens,
+            quality: primary.quality, // Scored on the primary, like the thumbnail
+            // Latest change to any member
+            modifiedDate: members.map(m => m.modifiedDate).sort().pop(),
+            files: members.map(m => ({ name: m.name, path: m.path, size: m.size, isRaw: m.isRaw }))
+        };
+    });
+};
+
+// Pick which members of a stack to copy. 'raw' and 'jpeg' prefer that kind of file,
+// but a stack that has none of it is still copied whole rather than silently dropped.
+const selectMembers = (files, include = 'both') => {
+    if (include === 'both') return files;
+    const wantRaw = include === 'raw';
+    const chosen = files.filter(file => isRaw(file) === wantRaw);
+    return chosen.length > 0 ? chosen : files;
+};
+
+module.exports = {
+    getStackKey,
+    groupStacks,
+    selectMembers
+};
@@ -0,0 +1,78 @@
+const sharp = require('sharp');
+const fs = require('fs');
+const { openImage } = require('./raw');
+
+// 1:1 zoom loads the full-resolution image as tiles, so only the part on screen is encoded
+// and sent instead of the whole 50 MP re-encode. Tiles are cached on disk like thumbnails.
+const TILE_SIZE = 512;
+
+// Decoding the image is the slow part, so the pixels of the photo being zoomed into are
+// kept in memory and every tile is cut from them. One photo only: 50 MP is ~150 MB.
+const KEEP_DECODED_MS = 30000;
+
+let decoded = null; // { key, promise, timer }
+
+// Full-resolution, auto-rotated pixels of `file`: { data, info }
+const decode = async (file) => {
+    const stat = await fs.promises.stat(file);
+    const key = `${file}:${stat.mtimeMs}:${stat.size}`;
+
+    if (!decoded || decoded.key !== key) {
+        if (decoded) clearTimeout(decoded.timer);
+        const promise = openImage(file).then(image => image
+            .removeAlpha()
+            .raw()
+            .toBuffer({ resolveWithObject: true }));
+        decoded = { key, promise, timer: null };
+        // Don't keep a failure around
+        promise.catch(() => {
+            if (decoded && decoded.promise === promise) decoded = null;
+        });
+    }
+
+    const entry = decoded;
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => {
+        if (decoded === entry) decoded = null;
+    }, KEEP_DECODED_MS);
+    return entry.promise;
+};
+
+// Full-resolution size and tile grid of `file`. Also decodes it, so the tiles
+// requested right after are quick.
+const getImageInfo = async (file) => {
+    const { info } = await decode(file);
+    return {
+        width: info.width,
+        height: info.height,
+        tileSize: TILE_SIZE,
+        columns: Math.ceil(info.width / TILE_SIZE),
+        rows: Math.ceil(info.height / TILE_SIZE)
+    };
+};
+
+// JPEG of one tile. Tiles on the right and bottom edges are cut short.
+const renderTile = async (file, column, row) => {
+    const { data, info } = await decode(file);
+    const left = column * TILE_SIZE;
+    const top = row * TILE_SIZE;
+    if (left >= info.width || top >= info.height) {
+        throw new RangeError(`Tile ${column},${row} is outside the image`);
+    }
+
+    return sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } })
+        .extract({
+            left,
+            top,
+            width: Math.min(TILE_SIZE, info.width - left),
+            height: Math.min(TILE_SIZE, info.height - top)
+        })
+        .jpeg({ quality: 90 })
+        .toBuffer();
+};
+
+module.exports = {
+    TILE_SIZE,
+    getImageInfo,
+    renderTile
+};
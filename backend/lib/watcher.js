@@ -0,0 +1,61 @@
+const path = require('path');
+const fs = require('fs');
+const { scanStack, isScannable } = require('./scanner');
+const { getStackKey } = require('./stacks');
+const { REJECTS_FOLDER } = require('./config');
+
+// Cameras and card importers write files in several chunks, and a RAW+JPEG
+// pair lands as separate files. Wait for a stack to go quiet before re-reading it.
+const SETTLE_MS = 500;
+
+// Watch a folder (and its subfolders when `recursive`) for photos being added,
+// changed or removed. `onEvent(type, data)` gets:
+//   'upsert' { photo }  - a stack appeared or changed (photo is a full /api/photos entry)
+//   'remove' { id }     - a stack's last file was deleted
+//   'error'  { error }  - the watcher failed (e.g. the folder was deleted)
+// Returns a function that stops watching.
+const watchFolder = (folderPath, recursive, onEvent) => {
+    const timers = new Map();
+    let closed = false;
+
+    const refresh = async (file) => {
+        try {
+            const photo = await scanStack(file);
+            if (closed) return;
+            if (photo) onEvent('upsert', { photo });
+            else onEvent('remove', { id: getStackKey(file) });
+        } catch (err) {
+            console.error("Error refreshing watched photo:", err);
+        }
+    };
+
+    const watcher = fs.watch(folderPath, { recursive }, (eventType, fileName) => {
+        if (!fileName) return;
+        // Moving photos into the rejects folder shows up as a removal only
+        if (fileName.toString().split(/[\\/]/).includes(REJECTS_FOLDER)) return;
+        const file = path.join(folderPath, fileName.toString());
+        if (!isScannable(file)) return;
+
+        const key = getStackKey(file);
+        clearTimeout(timers.get(key));
+        timers.set(key, setTimeout(() => {
+            timers.delete(key);
+            refresh(file);
+        }, SETTLE_MS));
+    });
+
+    watcher.on('error', (err) => {
+        console.error("Watcher error:", err);
+        onEvent('error', { error: err.message });
+    });
+
+    return () => {
+        closed = true;
+        timers.forEach(timer => clearTimeout(timer));
+        watcher.close();
+    };
+};
+
+module.exports = {
+    watchFolder
+};
@@ -0,0 +1,92 @@
+const path = require('path');
+const fs = require('fs');
+const { getMetadataPath } = require('./raw');
+const { writeMetadata } = require('./metadata');
+
+// Metadata writes are serialized per file: writeMetadata reads the current keywords
+// and writes them back, so two overlapping writes to one file would lose a change.
+// While a write runs, further changes to that file are merged into a single follow-up
+// write, so a burst of keypresses costs at most two exiftool runs.
+
+// Attempts per write. Files can be briefly locked (e.g. by an indexer or a viewer on Windows).
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 300;
+
+// metadata file -> { running, next: { file, changes, waiters } | null }
+const queues = new Map();
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Combine two pending changes into what writing them one after the other would do
+const mergeChanges = (earlier, later) => {
+    const merged = { ...earlier };
+    Object.entries(later).forEach(([key, value]) => {
+        if (value !== undefined) merged[key] = value;
+    });
+    // Stars set after a reject un-reject the photo (see writeMetadata)
+    if (later.rating !== undefined && later.flag === undefined && merged.flag === 'reject') {
+        merged.flag = null;
+    }
+    // Keyword edits add up, with the later one winning for a keyword both touch
+    const laterAdd = later.addKeywords || [];
+    const laterRemove = later.removeKeywords || [];
+    merged.addKeywords = [...(earlier.addKeywords || []).filter(k => !laterRemove.includes(k)), ...laterAdd];
+    merged.removeKeywords = [...(earlier.removeKeywords || []).filter(k => !laterAdd.includes(k)), ...laterRemove];
+    return merged;
+};
+
+const writeWithRetry = async (file, changes) => {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await writeMetadata(file, changes);
+        } catch (err) {
+            // Nothing to wait for if the file is gone
+            if (attempt >= MAX_ATTEMPTS || !fs.existsSync(file)) throw err;
+            console.warn(`Retrying metadata write to ${file} (attempt ${attempt} failed: ${err.message})`);
+            await delay(RETRY_DELAY_MS * attempt);
+        }
+    }
+};
+
+const drain = async (key, queue) => {
+    queue.running = true;
+    while (queue.next) {
+        const { file, changes, waiters } = queue.next;
+        queue.next = null;
+        try {
+            await writeWithRetry(file, changes);
+            waiters.forEach(waiter => waiter.resolve());
+        } catch (err) {
+            waiters.forEach(waiter => waiter.reject(err));
+        }
+    }
+    queue.running = false;
+    queues.delete(key);
+};
+
+// Queue a rating/label/flag change ({ rating, label, flag }, undefined = leave as is)
+// and/or a keyword edit ({ addKeywords, removeKeywords }).
+// Resolves once the change is on disk, rejects if it could not be written.
+const queueWrite = (file, changes) => {
+    // RAWs are keyed by their sidecar, since that is the file actually written
+    const key = getMetadataPath(path.resolve(file));
+    let queue = queues.get(key);
+    if (!queue) {
+        queue = { running: false, next: null };
+        queues.set(key, queue);
+    }
+
+    return new Promise((resolve, reject) => {
+        if (queue.next) {
+            queue.next.changes = mergeChanges(queue.next.changes, changes);
+            queue.next.waiters.push({ resolve, reject });
+        } else {
+            queue.next = { file, changes, waiters: [{ resolve, reject }] };
+        }
+        if (!queue.running) drain(key, queue);
+    });
+};
+
+module.exports = {
+    queueWrite
+};
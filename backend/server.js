@@ -1,10 +1,33 @@
 const express = require('express');
 const cors = require('cors');
 const { exiftool } = require('exiftool-vendored');
-const sharp = require('sharp');
 const glob = require('fast-glob');
 const path = require('path');
 const fs = require('fs');
+const { isRaw, openImage } = require('./lib/raw');
+const { getStackKey } = require('./lib/stacks');
+const { ScanError, checkFolder, scanFolder, scanStack } = require('./lib/scanner');
+const { watchFolder } = require('./lib/watcher');
+const { resolveExiftool } = require('./lib/exiftoolPath');
+const photoIndex = require('./lib/photoIndex');
+const { COLOR_LABELS, FLAGS, isManagedKeyword, readMetadata, readDetails, getFlag, getRating, getUserKeywords } = require('./lib/metadata');
+const { computeHistogram } = require('./lib/histogram');
+const { TILE_SIZE, getImageInfo, renderTile } = require('./lib/tiles');
+const { getHash } = require('./lib/similarity');
+const { groupBursts } = require('./lib/bursts');
+const { getQuality } = require('./lib/quality');
+const { findDuplicates } = require('./lib/duplicates');
+const { CONFLICT_POLICIES, getUnknownTokens, exportPhotos } = require('./lib/exporter');
+const { DEFAULT_FOLDER_TEMPLATE, MATCH_MODES, getUnknownFolderTokens, planImport, importFiles } = require('./lib/importer');
+const { startJob, getJob, listJobs, cancelJob } = require('./lib/jobs');
+const { isInside, movePhoto, moveToRejects, trashPhoto } = require('./lib/fileOps');
+const { saveManifest, undoManifest } = require('./lib/manifests');
+const {
+    listCollections, getCollection, createCollection, renameCollection, deleteCollection,
+    addPhotos, removePhotos, relocatePhotos
+} = require('./lib/collections');
+const { queueWrite } = require('./lib/writeQueue');
+const cache = require('./lib/cache');
 
 const app = express();
 const PORT = 3001;
@@ -34,100 +57,425 @@ const getSafePath = (reqPath) => {
     return path.resolve(reqPath);
 };
 
-// API: List Photos in a Directory (with Metadata)
+// Send a scan failure as { error, code } with a matching HTTP status
+const sendScanError = (res, err) => {
+    if (err instanceof ScanError) {
+        return res.status(err.status).json({ error: err.message, code: err.code });
+    }
+    res.status(500).json({ error: err.message, code: 'SCAN_FAILED' });
+};
+
+// API: List Photos in a Directory (with Metadata), by file name.
+// The grid sorts on its own (frontend/src/utils/sortPhotos.js).
 app.get('/api/photos', async (req, res) => {
     const folderPath = getSafePath(req.query.path);
     const recursive = req.query.recursive === 'true';
     
     try {
         console.log(`Scanning: ${folderPath} (Recursive: ${recursive})`);
-        
-        // We use exiftool to scan because we need metadata (Rating, Label) for filtering.
-        // -json: Output JSON
-        // -r: Recursive (if requested)
-        // -ext: Filter extensions
-        // -fast: Read faster (avoid making thumbnails, just read tags)
-        // -Rating -Label: Only read these tags (plus standard ones) to speed it up
-        
-        const args = [
-            '-json',
-            '-fast',
-            '-ext', 'jpg', '-ext', 'jpeg', '-ext', 'png', '-ext', 'JPG', '-ext', 'JPEG', '-ext', 'PNG',
-            '-Rating',
-            '-Label',
-            '-file:FileName',
-            '-file:FileSize',
-            '-file:FileModifyDate'
-        ];
-
-        if (recursive) {
-            args.push('-r');
-        }
 
-        args.push(folderPath);
+        // Metadata comes from the local index; exiftool only re-reads new or changed files
+        const photos = await scanFolder(folderPath, recursive);
 
-        // exiftool-vendored doesn't expose a raw 'spawn' easily for directory scanning with custom args that returns JSON directly in this way 
-        // usually. But .read() is for single files.
-        // We can use the underlying child_process or check if the library has a batch mode.
-        // The library has `exiftool.read(file)` but for bulk, it's often better to run the command.
-        // However, `exiftool-vendored` manages a singleton process. 
-        // Let's stick to `glob` for listing files (it's fast) and then batch read metadata?
-        // OR, let's try to use the library's batch capabilities if available, or just spawn our own for the list.
-        
-        // Actually, for a local app, `glob` + `exiftool` batch is safer.
-        // Let's use glob to find files, then pass them to exiftool in batches if needed.
-        // BUT, passing 1000 args to command line is bad.
-        
-        // Alternative: Use `exiftool` directly via shell execution for the listing.
-        // It is the most robust way to get metadata for a whole folder.
-        
-        const { execFile } = require('child_process');
-        let exiftoolPath;
-        try {
-            // Try to get the path from the platform-specific package
-            exiftoolPath = require('exiftool-vendored.exe');
-        } catch (e) {
-            // Fallback or non-windows logic (though this user is on Windows)
-            // If we can't find the binary, we can't run the batch scan easily.
-            console.error("Could not find exiftool binary path:", e);
-            throw new Error("Exiftool binary not found");
-        }
+        photos.sort((a, b) => a.name.localeCompare(b.name));
 
-        // We need to increase maxBuffer because the JSON can be huge for many photos
-        execFile(exiftoolPath, args, { maxBuffer: 1024 * 1024 * 50 }, (error, stdout, stderr) => {
-            if (error) {
-                console.error("Exiftool error:", stderr);
-                // If exiftool fails (e.g. no files), we might just return empty
-                return res.json({ path: folderPath, photos: [] });
-            }
+        res.json({ path: folderPath, photos });
+    } catch (err) {
+        console.error("Error scanning folder:", err);
+        sendScanError(res, err);
+    }
+});
 
-            try {
-                const rawData = JSON.parse(stdout);
-                
-                const photos = rawData.map(item => ({
-                    name: item.FileName,
-                    path: item.SourceFile,
-                    size: item.FileSize,
-                    rating: item.Rating || 0,
-                    label: item.Label || null
-                }));
-
-                // Sort by name default
-                photos.sort((a, b) => a.name.localeCompare(b.name));
-
-                res.json({ path: folderPath, photos });
-            } catch (parseErr) {
-                console.error("JSON Parse error:", parseErr);
-                res.json({ path: folderPath, photos: [] });
+// API: List Photos as a stream (newline-delimited JSON), so the grid fills in during long scans.
+// One message per line:
+//   { type: 'start', path, total }                  - total = files found
+//   { type: 'photos', photos, processed, total }    - next batch of stacks (unsorted)
+//   { type: 'done', processed, total }
+//   { type: 'error', error, code }                  - scan failed part way through
+// Problems found before the scan starts (bad folder) are a normal { error, code } response.
+app.get('/api/photos/stream', async (req, res) => {
+    const folderPath = getSafePath(req.query.path);
+    const recursive = req.query.recursive === 'true';
+
+    try {
+        await checkFolder(folderPath);
+    } catch (err) {
+        return sendScanError(res, err);
+    }
+
+    // Stop reading metadata once nobody is listening (e.g. the user switched folders)
+    const abort = new AbortController();
+    res.on('close', () => abort.abort());
+
+    res.type('application/x-ndjson');
+    res.set('Cache-Control', 'no-cache');
+    const send = (message) => res.write(JSON.stringify(message) + '\n');
+
+    try {
+        console.log(`Scanning (streamed): ${folderPath} (Recursive: ${recursive})`);
+        let last = { processed: 0, total: 0 };
+
+        await scanFolder(folderPath, recursive, {
+            signal: abort.signal,
+            onStart: ({ total }) => send({ type: 'start', path: folderPath, total }),
+            onBatch: ({ photos, processed, total }) => {
+                send({ type: 'photos', photos, processed, total });
+                last = { processed, total };
             }
         });
 
+        send({ type: 'done', ...last });
     } catch (err) {
         console.error("Error scanning folder:", err);
+        send({ type: 'error', error: err.message, code: err instanceof ScanError ? err.code : 'SCAN_FAILED' });
+    }
+    res.end();
+});
+
+// API: Re-read a single photo stack from disk (e.g. to roll back a failed metadata write)
+app.get('/api/photos/stack', async (req, res) => {
+    const filePath = req.query.file;
+    if (!filePath) return res.status(400).json({ error: 'Missing file path' });
+
+    try {
+        const photo = await scanStack(filePath);
+        if (!photo) return res.status(404).json({ error: 'File not found' });
+        res.json({ photo });
+    } catch (err) {
+        console.error("Error reading photo:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Current stacks of the photos in a collection. Photos no longer on disk are left out.
+const getCollectionPhotos = async (id) => {
+    const collection = await getCollection(id);
+    if (!collection) throw new ScanError('COLLECTION_NOT_FOUND', `Collection not found: ${id}`, 404);
+
+    const photos = [];
+    for (const file of collection.files) {
+        const photo = await scanStack(file);
+        if (photo && !photos.some(p => p.id === photo.id)) photos.push(photo);
+    }
+    return photos;
+};
+
+// Photos that a request is about: the collection `collection`, or else the folder `path`
+// (with `recursive`)
+const getRequestedPhotos = (query) => (
+    query.collection
+        ? getCollectionPhotos(query.collection)
+        : scanFolder(getSafePath(query.path), query.recursive === 'true')
+);
+
+// API: Bursts of similar consecutive shots in a folder or collection: { bursts: [{ id, members: [stack ids] }] }.
+// Perceptual hashes are cached in the index, so only new photos are hashed.
+app.get('/api/bursts', async (req, res) => {
+    try {
+        const photos = await getRequestedPhotos(req.query);
+        const hashes = new Map();
+        for (const photo of photos) {
+            try {
+                hashes.set(photo.id, await getHash(photo.path));
+            } catch (err) {
+                // Unreadable images just don't join a burst
+                console.error(`Could not hash ${photo.path}:`, err.message);
+            }
+        }
+        res.json({ bursts: groupBursts(photos, hashes) });
+    } catch (err) {
+        console.error("Error finding bursts:", err);
+        sendScanError(res, err);
+    }
+});
+
+// API: Sharpness and exposure scores for every photo in a folder or collection: { scores: { [stack id]: quality } }.
+// Scores are cached in the index (and then included in /api/photos), so only new photos are analyzed.
+app.get('/api/quality', async (req, res) => {
+    try {
+        const photos = await getRequestedPhotos(req.query);
+        const scores = {};
+        for (const photo of photos) {
+            try {
+                scores[photo.id] = await getQuality(photo.path);
+            } catch (err) {
+                console.error(`Could not score ${photo.path}:`, err.message);
+            }
+        }
+        res.json({ scores });
+    } catch (err) {
+        console.error("Error scoring photos:", err);
+        sendScanError(res, err);
+    }
+});
+
+const isFileList = (files) => Array.isArray(files) && files.length > 0 && files.every(f => typeof f === 'string' && f);
+
+// API: Collections - named sets of photos from any folder
+app.get('/api/collections', async (req, res) => {
+    try {
+        res.json({ collections: await listCollections() });
+    } catch (err) {
+        console.error("Error listing collections:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+const isName = (name) => typeof name === 'string' && name.trim().length > 0;
+
+app.post('/api/collections', async (req, res) => {
+    const { name } = req.body;
+    if (!isName(name)) return res.status(400).json({ error: 'Invalid collection name' });
+
+    try {
+        res.json({ collection: await createCollection(name.trim()) });
+    } catch (err) {
+        console.error("Error creating collection:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.patch('/api/collections/:id', async (req, res) => {
+    const { name } = req.body;
+    if (!isName(name)) return res.status(400).json({ error: 'Invalid collection name' });
+
+    try {
+        const collection = await renameCollection(req.params.id, name.trim());
+        if (!collection) return res.status(404).json({ error: 'Collection not found' });
+        res.json({ collection });
+    } catch (err) {
+        console.error("Error renaming collection:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Only forgets the collection; its photos stay where they are
+app.delete('/api/collections/:id', async (req, res) => {
+    try {
+        const collection = await deleteCollection(req.params.id);
+        if (!collection) return res.status(404).json({ error: 'Collection not found' });
+        res.json({ success: true });
+    } catch (err) {
+        console.error("Error deleting collection:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// The photos of a collection, like /api/photos does for a folder
+app.get('/api/collections/:id/photos', async (req, res) => {
+    try {
+        const photos = await getCollectionPhotos(req.params.id);
+        res.json({ photos });
+    } catch (err) {
+        console.error("Error reading collection:", err);
+        sendScanError(res, err);
+    }
+});
+
+// Add or remove photos, by the path of any of their files. Body: { files }
+app.post('/api/collections/:id/:change(add|remove)', async (req, res) => {
+    const { files } = req.body;
+    if (!isFileList(files)) return res.status(400).json({ error: 'Invalid request' });
+
+    try {
+        const change = req.params.change === 'add' ? addPhotos : removePhotos;
+        const collection = await change(req.params.id, files);
+        if (!collection) return res.status(404).json({ error: 'Collection not found' });
+        res.json({ collection });
+    } catch (err) {
+        console.error("Error changing collection:", err);
         res.status(500).json({ error: err.message });
     }
 });
 
+// Move `files` one photo at a time with `move(members)` (which gets the files of one stack and
+// returns [{ from, to }]) and record the moves in an undo manifest; collections follow the
+// photos. Gives { moved: [{ from, to }], failed: [{ file, error }], manifest: id }.
+const moveEach = async (action, files, move) => {
+    const stacks = new Map();
+    for (const file of files.map(f => path.resolve(f))) {
+        const key = getStackKey(file);
+        if (!stacks.has(key)) stacks.set(key, []);
+        stacks.get(key).push(file);
+    }
+
+    const moved = [];
+    const failed = [];
+    for (const members of stacks.values()) {
+        try {
+            moved.push(...await move(members));
+        } catch (err) {
+            console.error(`Error moving ${members[0]}:`, err);
+            failed.push(...members.map(file => ({ file, error: err.message })));
+        }
+    }
+    const manifest = moved.length > 0 ? await saveManifest(action, moved) : null;
+    await relocatePhotos(moved);
+    return { success: failed.length === 0, moved, failed, manifest };
+};
+
+// API: Move photos (with their sidecars) into the _rejects folder under `root`,
+// keeping their path relative to it. Body: { root, files }
+app.post('/api/files/reject', async (req, res) => {
+    const { files } = req.body;
+    const root = req.body.root && path.resolve(req.body.root);
+    if (!root || !isFileList(files)) {
+        return res.status(400).json({ error: 'Invalid request' });
+    }
+    const outside = files.find(file => !isInside(root, path.resolve(file)));
+    if (outside) return res.status(400).json({ error: `Not under ${root}: ${outside}` });
+
+    try {
+        res.json(await moveEach('reject', files, members => moveToRejects(root, members)));
+    } catch (err) {
+        console.error("Error moving to rejects:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Move photos (with their sidecars) into another folder. Taken names get a number.
+// Body: { files, destination }
+app.post('/api/files/move', async (req, res) => {
+    const { files, destination } = req.body;
+    if (!isFileList(files) || typeof destination !== 'string' || !destination) {
+        return res.status(400).json({ error: 'Invalid request' });
+    }
+    const target = path.resolve(destination);
+
+    try {
+        res.json(await moveEach('move', files, async (members) => {
+            if (path.dirname(members[0]) === target) throw new Error(`Already in ${target}`);
+            return movePhoto(members, target);
+        }));
+    } catch (err) {
+        console.error("Error moving files:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Send photos (with their sidecars) to the system trash. Body: { files }
+app.post('/api/files/trash', async (req, res) => {
+    const { files } = req.body;
+    if (!isFileList(files)) {
+        return res.status(400).json({ error: 'Invalid request' });
+    }
+
+    const trashed = [];
+    const failed = [];
+    for (const file of files) {
+        try {
+            trashed.push(...await trashPhoto(path.resolve(file)));
+        } catch (err) {
+            console.error(`Error trashing ${file}:`, err);
+            failed.push({ file, error: err.message });
+        }
+    }
+    res.json({ success: failed.length === 0, trashed, failed });
+});
+
+// API: Undo a move or reject, given the manifest id it returned. Body: { id }
+app.post('/api/files/undo', async (req, res) => {
+    const { id } = req.body;
+    if (typeof id !== 'string' || !id) {
+        return res.status(400).json({ error: 'Invalid request' });
+    }
+
+    try {
+        const result = await undoManifest(id);
+        await relocatePhotos(result.restored.map(({ from, to }) => ({ from: to, to: from })));
+        res.json({ success: result.failed.length === 0, ...result });
+    } catch (err) {
+        if (err.code === 'ENOENT') return res.status(404).json({ error: `Nothing to undo for ${id}` });
+        console.error("Error undoing move:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Import options: { source, destination, template, event, match }, see planImport()
+const checkImportOptions = ({ source, destination, template = DEFAULT_FOLDER_TEMPLATE, event = '', match = 'name' }) => {
+    if (typeof source !== 'string' || !source || typeof destination !== 'string' || !destination) return 'Invalid request';
+    if (typeof template !== 'string' || !template.trim()) return 'Invalid folder template';
+    const unknownTokens = getUnknownFolderTokens(template);
+    if (unknownTokens.length > 0) return `Unknown template placeholder: {${unknownTokens[0]}}`;
+    if (typeof event !== 'string') return 'Invalid event name';
+    if (!MATCH_MODES.includes(match)) return `Invalid match option: ${match}`;
+    if (isInside(path.resolve(source), path.resolve(destination))) return 'The destination is inside the source folder';
+    return null;
+};
+
+const getImportPlan = ({ source, destination, template, event, match }) => (
+    planImport(path.resolve(source), path.resolve(destination), { template, event, match })
+);
+
+// API: What importing a folder (e.g. a card's DCIM folder) would copy where.
+// Body: { source, destination, template, event, match }
+// Gives { items: [{ path, name, size, captureDate, folder, target, sidecar, imported }] },
+// `imported` marking files the destination already has.
+app.post('/api/import/scan', async (req, res) => {
+    const invalid = checkImportOptions(req.body);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    try {
+        res.json({ items: await getImportPlan(req.body) });
+    } catch (err) {
+        console.error("Error scanning import source:", err);
+        sendScanError(res, err);
+    }
+});
+
+// API: Live folder updates (Server-Sent Events)
+// Streams 'upsert' / 'remove' events while photos are added, changed or deleted in the folder,
+// e.g. by a tethered camera or a card import script.
+app.get('/api/events', (req, res) => {
+    const folderPath = getSafePath(req.query.path);
+    const recursive = req.query.recursive === 'true';
+
+    if (!fs.existsSync(folderPath)) {
+        return res.status(404).json({ error: 'Folder not found' });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    let stopWatching;
+    try {
+        stopWatching = watchFolder(folderPath, recursive, send);
+    } catch (err) {
+        console.error("Error watching folder:", err);
+        send('error', { error: err.message });
+        return res.end();
+    }
+
+    // Comment line every 30s so proxies and the browser don't drop an idle stream
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 30000);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        stopWatching();
+    });
+});
+
+// API: Health check - reports which exiftool binary folder scans use
+app.get('/api/health', async (req, res) => {
+    try {
+        const [binary, vendoredVersion] = await Promise.all([resolveExiftool(), exiftool.version()]);
+        res.json({
+            status: 'ok',
+            platform: process.platform,
+            exiftool: { ...binary, vendoredVersion }
+        });
+    } catch (err) {
+        console.error("Health check failed:", err);
+        res.status(503).json({ status: 'error', platform: process.platform, error: err.message });
+    }
+});
+
 // API: List Subfolders
 app.get('/api/folders', async (req, res) => {
     const folderPath = getSafePath(req.query.path);
@@ -148,6 +496,22 @@ app.get('/api/folders', async (req, res) => {
     }
 });
 
+// Serve a rendered variant of `filePath` from the disk cache, rendering it on a miss.
+// Browsers revalidate with ETag/If-Modified-Since and get a 304 without any disk or sharp work.
+const sendCachedImage = async (req, res, filePath, variant, render) => {
+    const stat = await fs.promises.stat(filePath);
+    const etag = `"${cache.getCacheKey(filePath, stat, variant)}"`;
+
+    res.set('ETag', etag);
+    res.set('Last-Modified', stat.mtime.toUTCString());
+    res.set('Cache-Control', 'no-cache'); // Always revalidate: the URL stays the same when the file changes
+    if (req.fresh) return res.status(304).end();
+
+    const buffer = await cache.getOrRender(etag.slice(1, -1), render);
+    res.type('image/jpeg');
+    res.send(buffer);
+};
+
 // API: Get Thumbnail
 app.get('/api/thumbnail', async (req, res) => {
     const filePath = req.query.file;
@@ -156,15 +520,13 @@ app.get('/api/thumbnail', async (req, res) => {
     }
 
     try {
-        await sharp(filePath)
-            .rotate() // Auto-rotate based on EXIF orientation
-            .resize(300, 300, { fit: 'inside' })
-            .jpeg({ quality: 80 })
-            .toBuffer()
-            .then(buffer => {
-                res.type('image/jpeg');
-                res.send(buffer);
-            });
+        await sendCachedImage(req, res, filePath, 'thumbnail', async () => {
+            const image = await openImage(filePath); // Auto-rotated, RAWs via their embedded preview
+            return image
+                .resize(300, 300, { fit: 'inside' })
+                .jpeg({ quality: 80 })
+                .toBuffer();
+        });
     } catch (err) {
         console.error("Error generating thumbnail:", err);
         res.status(500).send('Error generating thumbnail');
@@ -179,14 +541,17 @@ app.get('/api/image', async (req, res) => {
     }
     
     try {
-        // Apply auto-rotation for images displayed in the browser
-        const image = sharp(filePath);
-        await image.rotate(); // Auto-rotate based on EXIF orientation
-        
-        res.type('image/jpeg');
-        image.jpeg({ quality: 95 }).pipe(res);
+        await sendCachedImage(req, res, filePath, 'preview', async () => {
+            // Apply auto-rotation for images displayed in the browser
+            const image = await openImage(filePath);
+            return image.jpeg({ quality: 95 }).toBuffer();
+        });
     } catch (err) {
         console.error("Error serving image:", err);
+        // Browsers can't display RAW originals, so there's nothing to fall back to
+        if (isRaw(filePath)) {
+            return res.status(500).send('Error extracting RAW preview');
+        }
         // Fallback: send original file if sharp fails
         try {
             res.sendFile(filePath);
@@ -196,16 +561,74 @@ app.get('/api/image', async (req, res) => {
     }
 });
 
+// API: Full-resolution size and tile grid of an image, for 1:1 zoom
+app.get('/api/image/info', async (req, res) => {
+    const filePath = req.query.file;
+    if (!filePath) return res.status(400).json({ error: 'Missing file path' });
+    if (!fs.existsSync(filePath)) return res.status(404).json({ error: 'File not found' });
+
+    try {
+        res.json(await getImageInfo(filePath));
+    } catch (err) {
+        console.error("Error reading image size:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: One full-resolution tile (`x`, `y` = tile column and row, see /api/image/info)
+app.get('/api/image/tile', async (req, res) => {
+    const filePath = req.query.file;
+    const column = Number(req.query.x);
+    const row = Number(req.query.y);
+    if (!filePath || !fs.existsSync(filePath)) {
+        return res.status(404).send('File not found');
+    }
+    if (!Number.isInteger(column) || !Number.isInteger(row) || column < 0 || row < 0) {
+        return res.status(400).send('Invalid tile');
+    }
+
+    try {
+        await sendCachedImage(req, res, filePath, `tile:${TILE_SIZE}:${column}:${row}`, () => renderTile(filePath, column, row));
+    } catch (err) {
+        if (err instanceof RangeError) return res.status(400).send(err.message);
+        console.error("Error rendering tile:", err);
+        res.status(500).send('Error rendering tile');
+    }
+});
+
+// API: Thumbnail/preview cache stats
+app.get('/api/cache', async (req, res) => {
+    try {
+        res.json(await cache.getStats());
+    } catch (err) {
+        console.error("Error reading cache stats:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Purge the thumbnail/preview cache
+app.delete('/api/cache', async (req, res) => {
+    try {
+        const removed = await cache.purge();
+        res.json({ success: true, ...removed });
+    } catch (err) {
+        console.error("Error purging cache:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
 // API: Get Metadata
 app.get('/api/metadata', async (req, res) => {
     const filePath = req.query.file;
     if (!filePath) return res.status(400).send('Missing file path');
 
     try {
-        const tags = await exiftool.read(filePath);
+        const tags = await readMetadata(filePath);
         res.json({
-            rating: tags.Rating || 0,
+            rating: getRating(tags),
             label: tags.Label || '',
+            flag: getFlag(tags),
+            keywords: getUserKeywords(tags),
             // Add other relevant tags if needed
         });
     } catch (err) {
@@ -214,50 +637,65 @@ app.get('/api/metadata', async (req, res) => {
     }
 });
 
-// API: Update Metadata (Rating/Label)
-app.post('/api/metadata', async (req, res) => {
-    const { file, rating, label } = req.body;
-    if (!file) return res.status(400).send('Missing file path');
+// API: Shooting details (camera, lens, exposure, capture time, dimensions, GPS)
+app.get('/api/metadata/details', async (req, res) => {
+    const filePath = req.query.file;
+    if (!filePath) return res.status(400).json({ error: 'Missing file path' });
+    if (!fs.existsSync(filePath)) return res.status(404).json({ error: 'File not found' });
 
-    const tagsToWrite = {};
-    
-    if (rating !== undefined) {
-        // Write to multiple tags for maximum compatibility
-        tagsToWrite['Rating'] = rating;
-        tagsToWrite['XMP:Rating'] = rating;
-        // Windows Explorer uses RatingPercent (0-99)
-        const ratingMap = { 0: 0, 1: 1, 2: 25, 3: 50, 4: 75, 5: 99 };
-        tagsToWrite['RatingPercent'] = ratingMap[rating] || 0;
+    try {
+        res.json(await readDetails(filePath));
+    } catch (err) {
+        console.error("Error reading details:", err);
+        res.status(500).json({ error: err.message });
     }
+});
+
+// API: RGB and luminance histogram
+app.get('/api/histogram', async (req, res) => {
+    const filePath = req.query.file;
+    if (!filePath) return res.status(400).json({ error: 'Missing file path' });
+    if (!fs.existsSync(filePath)) return res.status(404).json({ error: 'File not found' });
 
     try {
-        // If updating label, we also want to update Keywords (Tags) for Windows Explorer
-        if (label !== undefined) {
-            tagsToWrite['Label'] = label;
-            tagsToWrite['XMP:Label'] = label;
-
-            // Read existing keywords to preserve them
-            const currentMeta = await exiftool.read(file);
-            let keywords = currentMeta.Keywords || [];
-            // Ensure it's an array (exiftool might return a string for single keyword)
-            if (typeof keywords === 'string') keywords = [keywords];
-            
-            // Remove known color labels from keywords to avoid duplicates/conflicts
-            const colorLabels = ['Red', 'Yellow', 'Green', 'Blue', 'Purple', 'Orange', 'Gray'];
-            keywords = keywords.filter(k => !colorLabels.includes(k));
-            
-            // Add the new label as a keyword
-            if (label) {
-                keywords.push(label);
-            }
+        res.json(await computeHistogram(filePath));
+    } catch (err) {
+        console.error("Error computing histogram:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
 
-            tagsToWrite['Keywords'] = keywords;
-            tagsToWrite['Subject'] = keywords; // XMP:Subject
-            tagsToWrite['XPKeywords'] = keywords.join(';'); // Windows specific
-        }
+// Keyword lists in a request body are optional, but must be lists of non-empty strings
+const isKeywordList = (value) => (
+    value === undefined || (Array.isArray(value) && value.every(k => typeof k === 'string' && k.trim()))
+);
+
+// Check the changes of a metadata write. Returns an error message, or null if they're fine.
+const checkMetadataChanges = ({ rating, label, flag, addKeywords, removeKeywords }) => {
+    if (rating !== undefined && !(Number.isInteger(rating) && rating >= 0 && rating <= 5)) return `Invalid rating: ${rating}`;
+    if (label !== undefined && label !== null && !COLOR_LABELS.includes(label)) return `Invalid label: ${label}`;
+    if (flag !== undefined && flag !== null && !FLAGS.includes(flag)) return `Invalid flag: ${flag}`;
+    if (!isKeywordList(addKeywords) || !isKeywordList(removeKeywords)) return 'Invalid keywords';
+    // Color labels and "Pick" are kept in the keywords, but only the label and flag set them
+    const reserved = [...(addKeywords || []), ...(removeKeywords || [])].find(isManagedKeyword);
+    if (reserved) return `"${reserved}" is set through the label or flag, not as a keyword`;
+    return null;
+};
+
+// API: Update Metadata (Rating/Label/Flag/Keywords)
+// Accepts a single `file`, or `files` to write every member of a RAW+JPEG stack.
+// `flag` is 'pick', 'reject' or null (unflagged). `addKeywords`/`removeKeywords` edit the keywords.
+app.post('/api/metadata', async (req, res) => {
+    const { file, files, rating, label, flag, addKeywords, removeKeywords } = req.body;
+    const targets = Array.isArray(files) ? files : [file];
+    if (targets.length === 0 || !targets.every(Boolean)) return res.status(400).send('Missing file path');
+    const invalid = checkMetadataChanges(req.body);
+    if (invalid) return res.status(400).json({ error: invalid });
 
-        // Write metadata and prevent creating a backup file (_original)
-        await exiftool.write(file, tagsToWrite, ['-overwrite_original']);
+    try {
+        for (const target of targets) {
+            await queueWrite(target, { rating, label, flag, addKeywords, removeKeywords });
+        }
         res.json({ success: true });
     } catch (err) {
         console.error("Error writing metadata:", err);
@@ -265,38 +703,151 @@ app.post('/api/metadata', async (req, res) => {
     }
 });
 
-// API: Copy Files
-app.post('/api/copy-files', async (req, res) => {
-    const { files, destination } = req.body;
-    if (!files || !Array.isArray(files) || !destination) {
+// API: Batch Update Metadata (Rating/Label/Flag/Keywords) for many files
+// All writes go through the shared exiftool process pool, queued per file. One bad file
+// doesn't stop the rest: the response reports success or failure per file.
+app.post('/api/metadata/batch', async (req, res) => {
+    const { files, rating, label, flag, addKeywords, removeKeywords } = req.body;
+    if (!Array.isArray(files) || files.length === 0 || !files.every(f => typeof f === 'string' && f)) {
         return res.status(400).json({ error: 'Invalid request' });
     }
+    const invalid = checkMetadataChanges(req.body);
+    if (invalid) return res.status(400).json({ error: invalid });
 
-    try {
-        // Ensure destination exists
-        if (!fs.existsSync(destination)) {
-            await fs.promises.mkdir(destination, { recursive: true });
-        }
+    const unique = [...new Set(files)]; // Never write the same file twice at once
+    const changes = { rating, label, flag, addKeywords, removeKeywords };
+    const outcomes = await Promise.allSettled(unique.map(file => queueWrite(file, changes)));
+    const results = outcomes.map((outcome, i) => (outcome.status === 'fulfilled'
+        ? { file: unique[i], success: true }
+        : { file: unique[i], success: false, error: outcome.reason.message }));
+
+    const failed = results.filter(r => !r.success);
+    failed.forEach(r => console.error(`Error writing metadata to ${r.file}:`, r.error));
+
+    res.json({ success: failed.length === 0, written: results.length - failed.length, failed: failed.length, results });
+});
+
+// Check the options of an export job. Returns an error message, or null if they're fine.
+// `files` entries are either a path or the list of member paths of a stack;
+// `include` picks which stack members to export: 'both' (default), 'raw' or 'jpeg'.
+const checkExportOptions = ({ files, destination, include = 'both', template = '{name}', conflict = 'suffix', resize = null }) => {
+    if (!Array.isArray(files) || !destination) return 'Invalid request';
+    const isPath = (file) => typeof file === 'string' && file !== '';
+    const isEntry = (entry) => isPath(entry) || (Array.isArray(entry) && entry.length > 0 && entry.every(isPath));
+    if (!files.every(isEntry)) return 'Invalid files: each must be a path or a list of paths';
+    if (!['both', 'raw', 'jpeg'].includes(include)) return `Invalid include option: ${include}`;
+    if (!CONFLICT_POLICIES.includes(conflict)) return `Invalid conflict policy: ${conflict}`;
+    if (typeof template !== 'string' || !template.trim()) return 'Invalid rename template';
+    const unknownTokens = getUnknownTokens(template);
+    if (unknownTokens.length > 0) return `Unknown template placeholder: {${unknownTokens[0]}}`;
+    if (resize !== null && (
+        typeof resize !== 'object'
+        || (resize.longEdge != null && !(Number.isInteger(resize.longEdge) && resize.longEdge > 0))
+        || (resize.quality != null && !(Number.isInteger(resize.quality) && resize.quality >= 1 && resize.quality <= 100))
+    )) {
+        return 'Invalid resize options';
+    }
+    return null;
+};
 
-        let count = 0;
-        for (const file of files) {
-            const fileName = path.basename(file);
-            const destPath = path.join(destination, fileName);
-            
-            // Copy file (overwrite if exists? or skip? let's overwrite for now or use copyFile)
-            await fs.promises.copyFile(file, destPath);
-            count++;
+// API: Background jobs
+// POST /api/jobs { type: 'export' | 'import' | 'duplicates', ...options } starts one and responds 202 with it
+// right away; poll GET /api/jobs/:id for { status, processed, total, bytesDone, bytesTotal, errors, result }.
+//
+// An export copies the originals, or re-encodes them as JPEGs, into a destination folder
+// with optional renaming and subfolders. It never silently overwrites unless asked to.
+// Options: { files, destination, root, include, template, conflict, preserveFolders, resize },
+// see exportPhotos().
+//
+// An import copies new files from a source folder into dated folders under the destination.
+// Options: { source, destination, template, event, match, files, verify } - `files` picks
+// source paths from the scan (all new ones if left out), `verify` checksums every copy.
+//
+// A duplicate search looks for duplicates anywhere under `path` (always recursive). Its result
+// is { root, exact: [{ hash, size, files }], similar: [{ photos: [stacks] }] }.
+app.post('/api/jobs', (req, res) => {
+    const { type, ...options } = req.body;
+    if (type === 'import') return startImport(options, res);
+    if (type === 'duplicates') return startDuplicateSearch(options, res);
+    if (type !== 'export') {
+        return res.status(400).json({ error: `Unknown job type: ${type}` });
+    }
+    const invalid = checkExportOptions(options);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const { files, resize } = options;
+    const destination = path.resolve(options.destination);
+    const exportOptions = {
+        destination,
+        include: options.include,
+        template: options.template,
+        conflict: options.conflict,
+        root: options.root ? getSafePath(options.root) : null,
+        preserveFolders: Boolean(options.preserveFolders),
+        resize: resize && {
+            longEdge: resize.longEdge || null,
+            quality: resize.quality || undefined,
+            keepMetadata: Boolean(resize.keepMetadata)
         }
+    };
 
-        res.json({ success: true, count });
-    } catch (err) {
-        console.error("Error copying files:", err);
-        res.status(500).json({ error: err.message });
+    const job = startJob('export', `Export ${files.length} photos to ${destination}`, (signal, onProgress) => (
+        exportPhotos(files, exportOptions, { signal, onProgress })
+    ));
+    res.status(202).json({ job });
+});
+
+const startImport = (options, res) => {
+    const invalid = checkImportOptions(options) || (options.files !== undefined && !isFileList(options.files) && 'Invalid file list');
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const source = path.resolve(options.source);
+    const destination = path.resolve(options.destination);
+    const chosen = options.files && new Set(options.files.map(file => path.resolve(file)));
+    const label = `Import ${chosen ? `${chosen.size} files` : 'new files'} from ${source} to ${destination}`;
+
+    const job = startJob('import', label, async (signal, onProgress) => {
+        // Plan again: the card or the destination may have changed since the scan
+        const items = (await getImportPlan(options)).filter(item => (chosen ? chosen.has(item.path) : !item.imported));
+        return importFiles(items, { verify: Boolean(options.verify) }, { signal, onProgress });
+    });
+    res.status(202).json({ job });
+};
+
+const startDuplicateSearch = (options, res) => {
+    if (options.path !== undefined && typeof options.path !== 'string') {
+        return res.status(400).json({ error: 'Invalid path' });
     }
+    const root = getSafePath(options.path);
+
+    const job = startJob('duplicates', `Find duplicates in ${root}`, (signal, onProgress) => (
+        findDuplicates(root, { signal, onProgress })
+    ));
+    res.status(202).json({ job });
+};
+
+app.get('/api/jobs', (req, res) => {
+    res.json({ jobs: listJobs() });
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    res.json({ job });
 });
 
-// Cleanup exiftool process on exit
-process.on('exit', () => exiftool.end());
+// Stops the job before its next file; it then ends up 'cancelled' with what it did so far
+app.post('/api/jobs/:id/cancel', (req, res) => {
+    const job = cancelJob(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    res.json({ job });
+});
+
+// Cleanup exiftool process and save pending index changes on exit
+process.on('exit', () => {
+    photoIndex.flush();
+    exiftool.end();
+});
 
 app.listen(PORT, () => {
     console.log(`Server running on http://localhost:${PORT}`);
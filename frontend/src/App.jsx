@@ -1,10 +1,36 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
-import { Star, Folder, Image as ImageIcon, Filter, Copy, CheckSquare, Square, GripVertical } from 'lucide-react';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { Star, Folder, Image as ImageIcon, Filter, Copy, CheckSquare, Square, GripVertical, Flag, Ban, Loader2, AlertTriangle, Info, ArrowUp, ArrowDown, Columns, LayoutGrid, Layers, Files, Gauge, Focus, FolderInput, Undo2, X, Library, Download } from 'lucide-react';
 import { clsx } from 'clsx';
 import { twMerge } from 'tailwind-merge';
 import FolderTree from './components/FolderTree';
+import InfoPanel from './components/InfoPanel';
+import FilterBar from './components/FilterBar';
+import KeywordEditor from './components/KeywordEditor';
+import CompareView from './components/CompareView';
+import SurveyView from './components/SurveyView';
+import ZoomableImage from './components/ZoomableImage';
+import DuplicatesPanel from './components/DuplicatesPanel';
+import ExportPanel from './components/ExportPanel';
+import FileActionsPanel from './components/FileActionsPanel';
+import JobsPanel from './components/JobsPanel';
+import ImportPanel from './components/ImportPanel';
+import CollectionsList from './components/CollectionsList';
+import { DEFAULT_FILTER, FILTER_LABELS, filterPhotos, countActiveFilters, collectKeywords } from './utils/filterPhotos';
+import { SORT_OPTIONS, sortPhotos } from './utils/sortPhotos';
+import { indexBursts, collapseBursts } from './utils/bursts';
+import { ZOOM_LEVELS } from './utils/zoom';
+import { getMedianSharpness, isLikelyBlurry } from './utils/quality';
 
 const API_URL = 'http://localhost:3001/api';
+const MAX_HISTORY = 200; // Undo steps kept per session
+const JOB_POLL_MS = 500;
+const RESERVED_KEYWORDS = [...FILTER_LABELS, 'Pick']; // Written by the label and pick flag
+
+// A photo's keywords after adding and removing some, keeping the order of the rest
+const editKeywords = (keywords = [], add = [], remove = []) => [
+  ...keywords.filter(k => !remove.includes(k)),
+  ...add.filter(k => !keywords.includes(k) || remove.includes(k)),
+];
 
 function cn(...inputs) {
   return twMerge(clsx(inputs));
@@ -12,173 +38,742 @@ function cn(...inputs) {
 
 function App() {
   const [currentPath, setCurrentPath] = useState('G:\\Code Files\\PhotoPicks'); 
+  const [collection, setCollection] = useState(null); // Open collection ({ id, name, count }), shown instead of the folder
   const [allPhotos, setAllPhotos] = useState([]); // Store all fetched photos
-  const [photos, setPhotos] = useState([]); // Store filtered photos
+  const [filteredPhotos, setFilteredPhotos] = useState([]); // Filtered and sorted, every burst member included
+  const [gridPhotos, setGridPhotos] = useState([]); // What the grid shows: filteredPhotos with bursts collapsed
   const [selectedIndex, setSelectedIndex] = useState(0);
   const [loading, setLoading] = useState(false);
+  const [scanProgress, setScanProgress] = useState(null); // { processed, total } while scanning
+  const [scanError, setScanError] = useState(null);
+  const selectedIdRef = useRef(null); // Stack id of the selected photo, to keep it selected across list updates
+
+  // Multi-selection (Ctrl/Shift-click, Shift+arrows). Empty = just the current photo.
+  const [selectedIds, setSelectedIds] = useState(new Set());
+  const anchorIdRef = useRef(null); // Where Shift range selection starts
+
+  // Metadata writes per photo id: pending counts, and failures waiting for a retry
+  const [pendingWrites, setPendingWrites] = useState({}); // id -> number of writes in flight
+  const [failedWrites, setFailedWrites] = useState({}); // id -> { error, entry, values }
   
   // Resizable panel state
   const [thumbnailWidth, setThumbnailWidth] = useState(300); // Width in pixels
   const [isResizing, setIsResizing] = useState(false);
   const resizeRef = useRef(null);
   
+  // Info panel (EXIF details + histogram) over the large preview
+  const [showInfo, setShowInfo] = useState(false);
+
+  // Large preview zoom: null = fit, else { scale, x, y } (see ZoomableImage).
+  // Kept when moving to another photo, to check the same spot across a series.
+  const [zoom, setZoom] = useState(null);
+  const lastZoomRef = useRef({ scale: ZOOM_LEVELS[0], x: 0.5, y: 0.5 });
+
+  // Preview mode: 'single', 'compare' (2-up) or 'survey' (candidates tiled), and the photo ids shown
+  const [viewMode, setViewMode] = useState('single');
+  const [viewIds, setViewIds] = useState([]);
+
   // Grid layout calculation
   const [columnsCount, setColumnsCount] = useState(3);
   
   // Filter State
   const [isRecursive, setIsRecursive] = useState(false);
-  const [filterRating, setFilterRating] = useState(0); // 0 = All, 1-5 = Min Rating
-  const [filterColor, setFilterColor] = useState('All'); // 'All', 'Red', 'Yellow', etc.
+  const [filter, setFilter] = useState(DEFAULT_FILTER); // See utils/filterPhotos
+  const [showFilters, setShowFilters] = useState(false);
+
+  // Burst grouping: similar consecutive shots collapse to one thumbnail
+  const [showBursts, setShowBursts] = useState(false);
+  const [burstOf, setBurstOf] = useState(new Map()); // photo id -> burst id
+  const [expandedBursts, setExpandedBursts] = useState(new Set());
+  const [loadingBursts, setLoadingBursts] = useState(false);
+
+  // Sharpness/exposure analysis of the folder is running
+  const [analyzing, setAnalyzing] = useState(false);
+
+  // Duplicate finder (over the current folder and its subfolders)
+  const [duplicatesJobId, setDuplicatesJobId] = useState(null); // The duplicate search shown in its panel
+
+  // Sort State, remembered per folder
+  const [sortBy, setSortBy] = useState('name');
+  const [sortOrder, setSortOrder] = useState('asc');
   
-  // Copy Tool State
-  const [targetFolder, setTargetFolder] = useState('');
-  const [copying, setCopying] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [jobs, setJobs] = useState([]); // Background jobs (exports, imports, duplicate searches) started here, newest first
+  const [showFileActions, setShowFileActions] = useState(false);
+  const [notice, setNotice] = useState(null); // { message, manifest, photos } - the message bar; a move's manifest offers undo
 
-  // Fetch photos when path or recursive flag changes
+  // Renaming the open collection replaces its object, but mustn't reload its photos
+  const collectionId = collection ? collection.id : null;
+
+  // Fetch photos when path, recursive flag or open collection changes
   useEffect(() => {
-    fetchPhotos(currentPath, isRecursive);
-  }, [currentPath, isRecursive]);
+    const controller = new AbortController();
+    if (collectionId) fetchCollectionPhotos(collectionId, controller.signal);
+    else fetchPhotos(currentPath, isRecursive, controller.signal);
+    return () => controller.abort(); // Stop a scan still running for the previous folder
+  }, [currentPath, isRecursive, collectionId]);
+
+  // Endpoints that work on the photos being viewed get the open collection, or the folder
+  const scopeQuery = collectionId
+    ? `collection=${collectionId}`
+    : `path=${encodeURIComponent(currentPath)}&recursive=${isRecursive}`;
 
-  // Apply filters when photos or filter settings change
+  // Live updates: the backend watches the folder and pushes added/changed/removed photos
   useEffect(() => {
-    let result = allPhotos;
+    if (collectionId) return; // Collections span folders, there is no one folder to watch
+    const events = new EventSource(`${API_URL}/events?path=${encodeURIComponent(currentPath)}&recursive=${isRecursive}`);
 
-    if (filterRating > 0) {
-      result = result.filter(p => (p.rating || 0) >= filterRating);
-    }
+    events.addEventListener('upsert', (e) => {
+      const { photo } = JSON.parse(e.data);
+      setAllPhotos(prev => {
+        if (prev.some(p => p.id === photo.id)) {
+          return prev.map(p => (p.id === photo.id ? photo : p));
+        }
+        return [...prev, photo];
+      });
+    });
 
-    if (filterColor !== 'All') {
-      result = result.filter(p => p.label === filterColor);
-    }
+    events.addEventListener('remove', (e) => {
+      const { id } = JSON.parse(e.data);
+      setAllPhotos(prev => prev.filter(p => p.id !== id));
+    });
 
-    setPhotos(result);
-    // Keep selection on the same photo if possible, otherwise reset
-    setSelectedIndex(prev => Math.min(prev, Math.max(0, result.length - 1)));
-  }, [allPhotos, filterRating, filterColor]);
+    return () => events.close();
+  }, [currentPath, isRecursive, collectionId]);
 
-  const fetchPhotos = async (path, recursive) => {
-    setLoading(true);
+  // Find bursts while grouping is on. Photos hashed once are cached by the backend.
+  useEffect(() => {
+    setBurstOf(new Map());
+    setExpandedBursts(new Set());
+    if (!showBursts) return;
+
+    const controller = new AbortController();
+    setLoadingBursts(true);
+    fetch(`${API_URL}/bursts?${scopeQuery}`, { signal: controller.signal })
+      .then(res => res.json())
+      .then(data => {
+        if (data.error) throw new Error(data.error);
+        setBurstOf(indexBursts(data.bursts));
+      })
+      .catch(err => err.name !== 'AbortError' && console.error("Failed to find bursts", err))
+      .finally(() => !controller.signal.aborted && setLoadingBursts(false));
+    return () => controller.abort();
+  }, [showBursts, scopeQuery]);
+
+  // Score sharpness and exposure of every photo in the folder. Photos scored before
+  // already come with their scores from the scan; this fills in the rest.
+  const analyzeFolder = async () => {
+    setAnalyzing(true);
     try {
-      const res = await fetch(`${API_URL}/photos?path=${encodeURIComponent(path)}&recursive=${recursive}`);
+      const res = await fetch(`${API_URL}/quality?${scopeQuery}`);
       const data = await res.json();
-      setAllPhotos(data.photos || []);
+      if (!res.ok) throw new Error(data.error || 'Failed to analyze photos');
+      setAllPhotos(prev => prev.map(p => (data.scores[p.id] ? { ...p, quality: data.scores[p.id] } : p)));
     } catch (err) {
-      console.error("Failed to load photos", err);
-      setAllPhotos([]);
+      console.error("Failed to analyze photos", err);
+      setNotice({ message: `Analyzing failed: ${err.message}` });
     } finally {
-      setLoading(false);
+      setAnalyzing(false);
     }
   };
 
-  // Update metadata (Rating/Label)
-  const updateMetadata = async (rating, label) => {
-    const currentPhoto = photos[selectedIndex];
-    if (!currentPhoto) return;
+  // Drop photos whose files were all moved away; the folder watcher corrects anything else
+  const removeMovedFiles = (paths) => {
+    const moved = new Set(paths);
+    setAllPhotos(prev => prev.filter(p => !p.files.every(f => moved.has(f.path))));
+  };
 
-    // Optimistic update in both lists
-    const updateList = (list) => list.map(p => {
-      if (p.path === currentPhoto.path) {
-        return {
-          ...p,
-          ...(rating !== undefined && { rating }),
-          ...(label !== undefined && { label })
-        };
-      }
-      return p;
+  // After a move/reject/trash: take the photos off the grid and say what happened.
+  // Photos that moved (not trashed) are kept with the notice, to put back on undo.
+  const handleFileAction = ({ verb, photos: targets, paths, manifest, failed }) => {
+    removeMovedFiles(paths);
+    const gone = new Set(paths);
+    const moved = targets.filter(p => p.files.every(f => gone.has(f.path)));
+    setNotice({
+      message: `${verb}: ${moved.length} photos`
+        + (failed.length > 0 ? ` - ${failed.length} files failed: ${failed[0].error}` : ''),
+      manifest,
+      photos: moved
     });
+    setShowFileActions(false);
+  };
 
-    setAllPhotos(prev => updateList(prev));
-    // photos state will update automatically via the useEffect dependency on allPhotos
-    
-    // Move to next photo after rating/labeling (optional, comment out if unwanted)
-    setTimeout(() => {
-      setSelectedIndex(prev => Math.min(prev + 1, photos.length - 1));
-    }, 100);
-
+  // Move the files of the last move back and show their photos again
+  const undoFileAction = async () => {
+    const { manifest, photos: moved } = notice;
     try {
-      await fetch(`${API_URL}/metadata`, {
+      const res = await fetch(`${API_URL}/files/undo`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          file: currentPhoto.path,
-          rating,
-          label
-        })
+        body: JSON.stringify({ id: manifest })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Undo failed');
+
+      const restored = new Set(data.restored.map(r => r.from));
+      const back = moved.filter(p => p.files.every(f => restored.has(f.path)));
+      setAllPhotos(prev => [...prev, ...back.filter(p => !prev.some(q => q.id === p.id))]);
+      setNotice({
+        message: `Put back ${back.length} photos`
+          + (data.failed.length > 0 ? ` - ${data.failed.length} files failed: ${data.failed[0].error}` : ''),
+        manifest: null,
+        photos: []
       });
     } catch (err) {
-      console.error("Failed to save metadata", err);
+      setNotice({ ...notice, message: err.message });
     }
   };
 
-  const copyFilteredPhotos = async () => {
-    if (!targetFolder) return alert("Please set a target folder first");
-    if (photos.length === 0) return alert("No photos to copy");
-    if (!confirm(`Copy ${photos.length} photos to ${targetFolder}?`)) return;
+  const toggleBurst = (id) => {
+    setExpandedBursts(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  // Poll running jobs for their progress; every update schedules the next poll.
+  // A job the backend doesn't answer for (e.g. it restarted and lost it) is given up on.
+  useEffect(() => {
+    const running = jobs.filter(job => job.status === 'running');
+    if (running.length === 0) return;
+    const timer = setTimeout(async () => {
+      const updates = await Promise.all(running.map(job => fetch(`${API_URL}/jobs/${job.id}`)
+        .then(res => (res.ok
+          ? res.json().then(data => data.job)
+          : { ...job, status: 'failed', error: 'The job no longer exists on the server' }))
+        .catch(err => {
+          console.error("Failed to get job status", err);
+          return null;
+        })));
+      const byId = new Map(updates.filter(Boolean).map(job => [job.id, job]));
+      setJobs(prev => prev.map(job => byId.get(job.id) || job));
+    }, JOB_POLL_MS);
+    return () => clearTimeout(timer);
+  }, [jobs]);
 
-    setCopying(true);
+  const cancelJob = async (id) => {
     try {
-      // We'll need a new API endpoint for this, or just loop calls (slower but easier)
-      // Let's assume we add a bulk copy endpoint
-      const res = await fetch(`${API_URL}/copy-files`, {
+      const res = await fetch(`${API_URL}/jobs/${id}/cancel`, { method: 'POST' });
+      const data = await res.json();
+      if (res.ok) setJobs(prev => prev.map(job => (job.id === id ? data.job : job)));
+    } catch (err) {
+      console.error("Failed to cancel job", err);
+    }
+  };
+
+  // Look for duplicates under the open folder. Like an export, the search is a background job
+  // the jobs list polls; its panel shows the progress, then the groups found.
+  const findDuplicates = async () => {
+    try {
+      const res = await fetch(`${API_URL}/jobs`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          files: photos.map(p => p.path),
-          destination: targetFolder
-        })
+        body: JSON.stringify({ type: 'duplicates', path: currentPath })
       });
       const data = await res.json();
-      alert(`Copied ${data.count} photos!`);
+      if (!res.ok) throw new Error(data.error || 'Failed to look for duplicates');
+      setJobs(prev => [data.job, ...prev]);
+      setDuplicatesJobId(data.job.id);
     } catch (err) {
-      alert("Failed to copy photos");
-      console.error(err);
-    } finally {
-      setCopying(false);
+      console.error("Failed to look for duplicates", err);
+      setNotice({ message: `Finding duplicates failed: ${err.message}` });
     }
   };
 
-  // Keyboard Shortcuts
+  // Only the panel shows what a search finds, so closing it stops one still running
+  const closeDuplicates = () => {
+    const job = jobs.find(j => j.id === duplicatesJobId);
+    if (job && job.status === 'running') cancelJob(job.id);
+    setDuplicatesJobId(null);
+  };
+
+  // Undo puts photos back on the grid, which only makes sense for the folder they left
   useEffect(() => {
-    const handleKeyDown = (e) => {
-      // Ignore if typing in input
-      if (e.target.tagName === 'INPUT') return;
-      
-      if (photos.length === 0) return;
+    setNotice(null);
+  }, [currentPath, collectionId]);
 
-      switch (e.key) {
-        case 'ArrowRight':
-          e.preventDefault();
-          setSelectedIndex(prev => Math.min(prev + 1, photos.length - 1));
-          break;
-        case 'ArrowLeft':
-          e.preventDefault();
-          setSelectedIndex(prev => Math.max(prev - 1, 0));
-          break;
-        case 'ArrowDown':
-          e.preventDefault();
-          setSelectedIndex(prev => Math.min(prev + columnsCount, photos.length - 1));
-          break;
-        case 'ArrowUp':
-          e.preventDefault();
-          setSelectedIndex(prev => Math.max(prev - columnsCount, 0));
-          break;
-        case '1': updateMetadata(1, undefined); break;
-        case '2': updateMetadata(2, undefined); break;
-        case '3': updateMetadata(3, undefined); break;
-        case '4': updateMetadata(4, undefined); break;
-        case '5': updateMetadata(5, undefined); break;
-        case '0': updateMetadata(0, null); break;
-        case '6': updateMetadata(undefined, 'Red'); break;
-        case '7': updateMetadata(undefined, 'Yellow'); break;
-        case '8': updateMetadata(undefined, 'Green'); break;
-        case '9': updateMetadata(undefined, 'Blue'); break;
-        default: break;
+  // Sort orders are remembered per view: each folder, and each collection
+  const sortKey = `photopicks.sort.${collectionId ? `collection:${collectionId}` : currentPath}`;
+
+  // Restore the sort order last used for this folder or collection
+  useEffect(() => {
+    try {
+      const saved = JSON.parse(localStorage.getItem(sortKey));
+      setSortBy(saved?.by || 'name');
+      setSortOrder(saved?.order || 'asc');
+    } catch (err) {
+      setSortBy('name');
+      setSortOrder('asc');
+    }
+  }, [sortKey]);
+
+  const changeSort = (by, order) => {
+    setSortBy(by);
+    setSortOrder(order);
+    localStorage.setItem(sortKey, JSON.stringify({ by, order }));
+  };
+
+  // Apply filters and sorting when photos or filter/sort settings change.
+  // Bulk actions (export, move, select all) take filteredPhotos so collapsed burst members aren't left out.
+  useEffect(() => {
+    const filtered = sortPhotos(filterPhotos(allPhotos, filter), sortBy, sortOrder);
+    const result = collapseBursts(filtered, burstOf, expandedBursts);
+
+    setFilteredPhotos(filtered);
+    setGridPhotos(result);
+    // Keep selection on the same photo if possible, otherwise reset
+    const selectedIdx = result.findIndex(p => p.id === selectedIdRef.current);
+    setSelectedIndex(prev => (selectedIdx !== -1 ? selectedIdx : Math.min(prev, Math.max(0, result.length - 1))));
+  }, [allPhotos, filter, sortBy, sortOrder, burstOf, expandedBursts]);
+
+  // Likely out-of-focus photos are judged against the folder's median sharpness
+  const medianSharpness = useMemo(() => getMedianSharpness(allPhotos), [allPhotos]);
+
+  // Keywords used anywhere in the folder, offered when adding one
+  const folderKeywords = useMemo(() => collectKeywords(allPhotos), [allPhotos]);
+
+  useEffect(() => {
+    selectedIdRef.current = gridPhotos[selectedIndex]?.id ?? null;
+  }, [gridPhotos, selectedIndex]);
+
+  // Photos arrive in batches while the backend scans (newline-delimited JSON),
+  // so the grid fills in as the scan goes
+  const fetchPhotos = async (path, recursive, signal) => {
+    setLoading(true);
+    setScanError(null);
+    setScanProgress(null);
+    setAllPhotos([]);
+    setSelectedIds(new Set());
+    try {
+      const res = await fetch(`${API_URL}/photos/stream?path=${encodeURIComponent(path)}&recursive=${recursive}`, { signal });
+      if (!res.ok) {
+        const data = await res.json();
+        setScanError(data.error || 'Failed to load photos');
+        return;
+      }
+
+      const reader = res.body.getReader();
+      const decoder = new TextDecoder();
+      let buffered = '';
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffered += decoder.decode(value, { stream: true });
+        const lines = buffered.split('\n');
+        buffered = lines.pop(); // Keep a partial line for the next chunk
+
+        for (const line of lines.filter(Boolean)) {
+          const message = JSON.parse(line);
+          if (message.type === 'start') {
+            setScanProgress({ processed: 0, total: message.total });
+          } else if (message.type === 'photos') {
+            // A live update may have brought a photo in before its batch did
+            setAllPhotos(prev => {
+              const known = new Set(prev.map(p => p.id));
+              return [...prev, ...message.photos.filter(p => !known.has(p.id))];
+            });
+            setScanProgress({ processed: message.processed, total: message.total });
+          } else if (message.type === 'error') {
+            setScanError(message.error);
+          }
+        }
+      }
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      console.error("Failed to load photos", err);
+      setScanError(err.message);
+    } finally {
+      if (!signal.aborted) {
+        setLoading(false);
+        setScanProgress(null);
+      }
+    }
+  };
+
+  // Photos of a collection, wherever they are
+  const fetchCollectionPhotos = async (id, signal) => {
+    setLoading(true);
+    setScanError(null);
+    setScanProgress(null);
+    setAllPhotos([]);
+    setSelectedIds(new Set());
+    try {
+      const res = await fetch(`${API_URL}/collections/${id}/photos`, { signal });
+      const data = await res.json();
+      if (!res.ok) {
+        setScanError(data.error || 'Failed to load collection');
+        return;
       }
+      setAllPhotos(data.photos);
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      console.error("Failed to load collection", err);
+      setScanError(err.message);
+    } finally {
+      if (!signal.aborted) setLoading(false);
+    }
+  };
+
+  // Photos that rating/label keys apply to (selected ones can be hidden in a collapsed burst)
+  const getSelectedPhotos = () => {
+    if (selectedIds.size > 0) return filteredPhotos.filter(p => selectedIds.has(p.id));
+    return gridPhotos[selectedIndex] ? [gridPhotos[selectedIndex]] : [];
+  };
+
+  // Move the current photo to `index`. With `extend` (Shift), select the range from the anchor;
+  // with `toggle` (Ctrl/Cmd), add/remove that photo; otherwise drop back to a single selection.
+  const selectPhoto = (index, { extend = false, toggle = false } = {}) => {
+    const target = Math.max(0, Math.min(index, gridPhotos.length - 1));
+    const photo = gridPhotos[target];
+    if (!photo) return;
+
+    if (extend) {
+      const anchorIndex = Math.max(0, gridPhotos.findIndex(p => p.id === anchorIdRef.current));
+      const [from, to] = [Math.min(anchorIndex, target), Math.max(anchorIndex, target)];
+      setSelectedIds(new Set(gridPhotos.slice(from, to + 1).map(p => p.id)));
+    } else if (toggle) {
+      setSelectedIds(prev => {
+        // Starting a multi-selection keeps the photo we were on
+        const next = new Set(prev.size > 0 ? prev : [gridPhotos[selectedIndex]?.id].filter(Boolean));
+        if (next.has(photo.id)) next.delete(photo.id);
+        else next.add(photo.id);
+        return next;
+      });
+      anchorIdRef.current = photo.id;
+    } else {
+      setSelectedIds(new Set());
+      anchorIdRef.current = photo.id;
+    }
+    setSelectedIndex(target);
+  };
+
+  const handleThumbnailClick = (e, idx) => {
+    selectPhoto(idx, { extend: e.shiftKey, toggle: e.ctrlKey || e.metaKey });
+  };
+
+  const countPending = (ids, delta) => {
+    setPendingWrites(prev => {
+      const next = { ...prev };
+      ids.forEach(id => {
+        next[id] = (next[id] || 0) + delta;
+        if (next[id] <= 0) delete next[id];
+      });
+      return next;
+    });
+  };
+
+  // Replace a photo's metadata with what is really on disk
+  const reloadPhoto = async (entry) => {
+    try {
+      const res = await fetch(`${API_URL}/photos/stack?file=${encodeURIComponent(entry.files[0])}`);
+      if (!res.ok) return;
+      const { photo } = await res.json();
+      setAllPhotos(prev => prev.map(p => (p.id === entry.id ? { ...p, ...pickMetadata(photo), keywords: photo.keywords } : p)));
+    } catch (err) {
+      console.error("Failed to reload photo", err);
+    }
+  };
+
+  // Write rating/label/flag (undefined = leave as is) for photos given as [{ id, files }].
+  // The backend queues and retries per file; a write that still fails is rolled back on
+  // screen to what is on disk, and the thumbnail shows it failed until it is retried.
+  const saveMetadata = async (entries, values) => {
+    const ids = entries.map(e => e.id);
+    const failures = new Map(); // id -> error message
+    countPending(ids, 1);
+
+    try {
+      const res = await fetch(`${API_URL}/metadata/batch`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ files: entries.flatMap(e => e.files), ...values })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to save metadata');
+
+      const failedFiles = new Map(data.results.filter(r => !r.success).map(r => [r.file, r.error]));
+      entries.forEach(e => {
+        const failedFile = e.files.find(file => failedFiles.has(file));
+        if (failedFile) failures.set(e.id, failedFiles.get(failedFile));
+      });
+    } catch (err) {
+      entries.forEach(e => failures.set(e.id, err.message));
+    }
+
+    countPending(ids, -1);
+    setFailedWrites(prev => {
+      const next = { ...prev };
+      entries.forEach(e => {
+        if (failures.has(e.id)) next[e.id] = { error: failures.get(e.id), entry: e, values };
+        else delete next[e.id];
+      });
+      return next;
+    });
+
+    failures.forEach((error, id) => console.error(`Failed to save metadata for ${id}:`, error));
+    entries.filter(e => failures.has(e.id)).forEach(reloadPhoto);
+  };
+
+  // Re-apply a failed change, on screen and on disk
+  const retryWrite = (id) => {
+    const failed = failedWrites[id];
+    if (!failed) return;
+    const { addKeywords, removeKeywords, ...values } = failed.values;
+    const defined = Object.fromEntries(Object.entries(values).filter(([, v]) => v !== undefined));
+    setAllPhotos(prev => prev.map(p => (p.id === id
+      ? { ...p, ...defined, keywords: editKeywords(p.keywords, addKeywords, removeKeywords) }
+      : p)));
+    saveMetadata([failed.entry], failed.values);
+  };
+
+  // Every member of a RAW+JPEG stack
+  const getStackFiles = (photo) => photo.files.map(f => f.path);
+
+  const pickMetadata = (photo) => ({ rating: photo.rating || 0, label: photo.label || null, flag: photo.flag || null });
+
+  // Undo/redo history for this session. Each step is the list of photos one action
+  // changed, with their values before and after: [{ id, files, before, after }]
+  const historyRef = useRef({ undo: [], redo: [] });
+
+  // Update metadata (Rating/Label/Flag) of the current photo, or of every selected photo
+  // (or of `targets`, e.g. one tile in the compare view).
+  // flag: 'pick', 'reject' or null. Rejecting clears the stars; starring a reject un-rejects it.
+  const updateMetadata = async (rating, label, flag, targets = getSelectedPhotos()) => {
+    if (targets.length === 0) return;
+
+    const applyChange = (p) => {
+      const updated = {
+        ...p,
+        ...(rating !== undefined && { rating }),
+        ...(label !== undefined && { label }),
+        ...(flag !== undefined && { flag })
+      };
+      if (flag === 'reject') updated.rating = 0;
+      else if (rating !== undefined && p.flag === 'reject') updated.flag = null;
+      return updated;
     };
 
-    window.addEventListener('keydown', handleKeyDown);
-    return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [photos, selectedIndex, columnsCount]); 
+    // One undo step for the whole action, however many photos it touched
+    const history = historyRef.current;
+    history.undo.push(targets.map(p => ({
+      id: p.id,
+      files: getStackFiles(p),
+      before: pickMetadata(p),
+      after: pickMetadata(applyChange(p))
+    })));
+    if (history.undo.length > MAX_HISTORY) history.undo.shift();
+    history.redo = [];
+
+    // Optimistic update in both lists
+    const targetIds = new Set(targets.map(p => p.id));
+    setAllPhotos(prev => prev.map(p => (targetIds.has(p.id) ? applyChange(p) : p)));
+    // photos state will update automatically via the useEffect dependency on allPhotos
+    
+    // Move to next photo after rating/labeling a single photo (optional, comment out if unwanted)
+    if (targets.length === 1 && viewMode === 'single') {
+      setTimeout(() => {
+        setSelectedIndex(prev => Math.min(prev + 1, gridPhotos.length - 1));
+      }, 100);
+    }
+
+    await saveMetadata(targets.map(p => ({ id: p.id, files: getStackFiles(p) })), { rating, label, flag });
+  };
+
+  // Add and/or remove keywords on the current photo, or on every selected photo
+  const updateKeywords = async (add = [], remove = []) => {
+    const targets = getSelectedPhotos();
+    if (targets.length === 0) return;
+    const reserved = [...add, ...remove].find(k => RESERVED_KEYWORDS.includes(k));
+    if (reserved) return setNotice({ message: `"${reserved}" is set with the label and flag keys, not as a keyword` });
+
+    const targetIds = new Set(targets.map(p => p.id));
+    setAllPhotos(prev => prev.map(p => (targetIds.has(p.id) ? { ...p, keywords: editKeywords(p.keywords, add, remove) } : p)));
+
+    await saveMetadata(targets.map(p => ({ id: p.id, files: getStackFiles(p) })), { addKeywords: add, removeKeywords: remove });
+  };
+
+  // Put the photos of a history step back to their 'before' (undo) or 'after' (redo) values,
+  // both on screen and on disk
+  const applyHistoryStep = (step, side) => {
+    const values = new Map(step.map(change => [change.id, change[side]]));
+    setAllPhotos(prev => prev.map(p => (values.has(p.id) ? { ...p, ...values.get(p.id) } : p)));
+
+    // Photos going back to the same values are written in one batch
+    const groups = new Map();
+    step.forEach(change => {
+      const key = JSON.stringify(change[side]);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push({ id: change.id, files: change.files });
+    });
+    groups.forEach((entries, key) => saveMetadata(entries, JSON.parse(key)));
+
+    // Jump to the photo that changed, so the undo is visible
+    if (step.length === 1) {
+      const idx = gridPhotos.findIndex(p => p.id === step[0].id);
+      if (idx !== -1) selectPhoto(idx);
+    }
+  };
+
+  const undo = () => {
+    const step = historyRef.current.undo.pop();
+    if (!step) return;
+    historyRef.current.redo.push(step);
+    applyHistoryStep(step, 'before');
+  };
+
+  const redo = () => {
+    const step = historyRef.current.redo.pop();
+    if (!step) return;
+    historyRef.current.undo.push(step);
+    applyHistoryStep(step, 'after');
+  };
+
+  // Compare the two selected photos, or the current photo and the next one
+  const startCompare = () => {
+    const selected = getSelectedPhotos();
+    const pair = selected.length >= 2 ? selected.slice(0, 2) : gridPhotos.slice(selectedIndex, selectedIndex + 2);
+    if (pair.length < 2) return;
+    setViewIds(pair.map(p => p.id));
+    setViewMode('compare');
+  };
+
+  // Survey all selected photos
+  const startSurvey = () => {
+    const selected = getSelectedPhotos();
+    if (selected.length < 2) return;
+    setViewIds(selected.map(p => p.id));
+    setViewMode('survey');
+  };
+
+  const closeView = () => setViewMode('single');
+
+  const changeZoom = (next) => {
+    if (next) lastZoomRef.current = next;
+    setZoom(next);
+  };
+
+  // Z: zoom back in where we last were, or out to fit
+  const toggleZoom = () => changeZoom(zoom ? null : lastZoomRef.current);
+
+  // Photos of the compare/survey view, current values included. Photos deleted meanwhile drop out.
+  const viewPhotos = viewIds.map(id => allPhotos.find(p => p.id === id)).filter(Boolean);
+
+  useEffect(() => {
+    if ((viewMode === 'compare' && viewPhotos.length < 2) || (viewMode === 'survey' && viewPhotos.length === 0)) {
+      closeView();
+    }
+  }, [viewMode, viewPhotos.length]);
+
+  // Keyboard Shortcuts. The listener is added once and calls the latest handler through
+  // a ref, so the handler always sees the current photos, selection and actions.
+  const handleKeyDown = (e) => {
+    // Ignore if typing in input
+    if (e.target.tagName === 'INPUT') return;
+    
+    // Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y)
+    if ((e.ctrlKey || e.metaKey) && (e.key === 'z' || e.key === 'Z' || e.key === 'y')) {
+      e.preventDefault();
+      if (e.key === 'y' || e.shiftKey) redo();
+      else undo();
+      return;
+    }
+
+    if (duplicatesJobId || showExport || showImport || showFileActions) {
+      if (e.key === 'Escape') {
+        if (duplicatesJobId) closeDuplicates();
+        setShowExport(false);
+        setShowImport(false);
+        setShowFileActions(false);
+      }
+      return;
+    }
+
+    // Compare and survey have their own controls; Esc goes back to the single preview
+    if (viewMode !== 'single') {
+      if (e.key === 'Escape') closeView();
+      return;
+    }
+
+    if (gridPhotos.length === 0) return;
+
+    // Shift+arrows extend the selection from the anchor
+    const move = { extend: e.shiftKey };
+
+    switch (e.key) {
+      case 'ArrowRight':
+        e.preventDefault();
+        selectPhoto(selectedIndex + 1, move);
+        break;
+      case 'ArrowLeft':
+        e.preventDefault();
+        selectPhoto(selectedIndex - 1, move);
+        break;
+      case 'ArrowDown':
+        e.preventDefault();
+        selectPhoto(selectedIndex + columnsCount, move);
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        selectPhoto(selectedIndex - columnsCount, move);
+        break;
+      case 'a':
+      case 'A':
+        if (e.ctrlKey || e.metaKey) {
+          e.preventDefault();
+          setSelectedIds(new Set(filteredPhotos.map(p => p.id))); // Collapsed burst members too
+        }
+        break;
+      case 'Escape':
+        setSelectedIds(new Set());
+        break;
+      case 'i':
+      case 'I':
+        setShowInfo(prev => !prev);
+        break;
+      case 'z':
+      case 'Z':
+        toggleZoom();
+        break;
+      case 'b':
+      case 'B':
+        if (gridPhotos[selectedIndex]?.burst) toggleBurst(gridPhotos[selectedIndex].burst.id);
+        break;
+      case 'c':
+      case 'C':
+        if (!e.ctrlKey && !e.metaKey) startCompare();
+        break;
+      case 's':
+      case 'S':
+        if (!e.ctrlKey && !e.metaKey) startSurvey();
+        break;
+      case '1': updateMetadata(1, undefined); break;
+      case '2': updateMetadata(2, undefined); break;
+      case '3': updateMetadata(3, undefined); break;
+      case '4': updateMetadata(4, undefined); break;
+      case '5': updateMetadata(5, undefined); break;
+      case '0': updateMetadata(0, null); break;
+      case '6': updateMetadata(undefined, 'Red'); break;
+      case '7': updateMetadata(undefined, 'Yellow'); break;
+      case '8': updateMetadata(undefined, 'Green'); break;
+      case '9': updateMetadata(undefined, 'Blue'); break;
+      case 'p': case 'P': updateMetadata(undefined, undefined, 'pick'); break;
+      case 'x': case 'X': updateMetadata(undefined, undefined, 'reject'); break;
+      case 'u': case 'U': updateMetadata(undefined, undefined, null); break;
+      default: break;
+    }
+  };
+
+  const keyDownRef = useRef(handleKeyDown);
+  keyDownRef.current = handleKeyDown;
+
+  useEffect(() => {
+    const onKeyDown = (e) => keyDownRef.current(e);
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
 
   // Scroll selected thumbnail into view
   const thumbnailRefs = useRef({});
@@ -230,8 +825,16 @@ function App() {
     setColumnsCount(cols);
   }, [thumbnailWidth]);
 
-  const currentPhoto = photos[selectedIndex];
+  const currentPhoto = gridPhotos[selectedIndex];
   
+  // e.g. "CR2+JPG" for a RAW+JPEG stack, "RAW" for a lone RAW file
+  const getStackBadge = (photo) => {
+    if (photo.files.length > 1) {
+      return photo.files.map(f => f.name.split('.').pop().toUpperCase()).join('+');
+    }
+    return photo.isRaw ? 'RAW' : null;
+  };
+
   const getColorClass = (label) => {
     switch (label) {
       case 'Red': return 'border-red-500 bg-red-500/20';
@@ -244,111 +847,274 @@ function App() {
 
   return (
     <div className="flex h-screen bg-gray-900 text-gray-200 overflow-hidden">
-      {/* Sidebar - Folder Tree */}
-      <FolderTree 
-        currentPath={currentPath} 
-        onSelect={(path) => setCurrentPath(path)} 
-      />
+      {duplicatesJobId && (
+        <DuplicatesPanel
+          root={currentPath}
+          job={jobs.find(job => job.id === duplicatesJobId)}
+          onCancel={cancelJob}
+          onMoved={removeMovedFiles}
+          onClose={closeDuplicates}
+        />
+      )}
+      {showExport && (
+        <ExportPanel
+          photos={filteredPhotos}
+          root={collection ? null : currentPath}
+          onStarted={(job) => {
+            setJobs(prev => [job, ...prev]);
+            setShowExport(false);
+          }}
+          onClose={() => setShowExport(false)}
+        />
+      )}
+      {showImport && (
+        <ImportPanel
+          folder={collection ? null : currentPath}
+          onStarted={(job) => {
+            setJobs(prev => [job, ...prev]);
+            setShowImport(false);
+          }}
+          onClose={() => setShowImport(false)}
+        />
+      )}
+      <JobsPanel jobs={jobs} onCancel={cancelJob} onDismiss={(id) => setJobs(prev => prev.filter(job => job.id !== id))} />
+      {showFileActions && (
+        <FileActionsPanel
+          scopes={{ selected: getSelectedPhotos(), rejected: allPhotos.filter(p => p.flag === 'reject'), filtered: filteredPhotos }}
+          root={collection ? null : currentPath}
+          onDone={handleFileAction}
+          onClose={() => setShowFileActions(false)}
+        />
+      )}
+
+      {/* Sidebar - Folder Tree and Collections */}
+      <div className="flex flex-col h-full w-64 shrink-0 bg-gray-900 border-r border-gray-700">
+        <FolderTree 
+          currentPath={collection ? null : currentPath} 
+          onSelect={(path) => {
+            setCollection(null);
+            setCurrentPath(path);
+          }} 
+        />
+        <CollectionsList
+          activeId={collection && collection.id}
+          selected={getSelectedPhotos()}
+          onOpen={setCollection}
+          onRemoved={removeMovedFiles}
+        />
+      </div>
 
       {/* Main Content Area */}
       <div className="flex-1 flex flex-col min-w-0">
         {/* Toolbar */}
         <div className="h-14 bg-gray-800 flex items-center px-4 border-b border-gray-700 shrink-0 space-x-4">
           
-          {/* Path Input */}
-          <div className="flex items-center flex-1 min-w-0">
-            <Folder className="w-5 h-5 mr-2 text-gray-400 shrink-0" />
-            <input 
-              type="text" 
-              value={currentPath} 
-              onChange={(e) => setCurrentPath(e.target.value)}
-              className="bg-gray-700 border-none text-sm px-2 py-1 rounded w-full focus:ring-1 focus:ring-blue-500 outline-none truncate"
-            />
-          </div>
+          {collection ? (
+            /* Open collection */
+            <div className="flex items-center flex-1 min-w-0 text-sm">
+              <Library className="w-5 h-5 mr-2 text-purple-400 shrink-0" />
+              <span className="truncate">{collection.name}</span>
+              <button
+                onClick={() => setCollection(null)}
+                className="flex items-center ml-3 px-2 py-0.5 rounded text-gray-400 hover:text-white hover:bg-gray-700 shrink-0"
+                title="Back to the folder"
+              >
+                <X className="w-4 h-4 mr-1" /> Close
+              </button>
+            </div>
+          ) : (
+            <>
+              {/* Path Input */}
+              <div className="flex items-center flex-1 min-w-0">
+                <Folder className="w-5 h-5 mr-2 text-gray-400 shrink-0" />
+                <input 
+                  type="text" 
+                  value={currentPath} 
+                  onChange={(e) => setCurrentPath(e.target.value)}
+                  className="bg-gray-700 border-none text-sm px-2 py-1 rounded w-full focus:ring-1 focus:ring-blue-500 outline-none truncate"
+                />
+              </div>
 
-          {/* Recursive Toggle */}
-          <button 
-            onClick={() => setIsRecursive(!isRecursive)}
-            className={cn("flex items-center px-3 py-1 rounded text-sm border", isRecursive ? "bg-blue-600 border-blue-500 text-white" : "border-gray-600 text-gray-400 hover:bg-gray-700")}
+              {/* Recursive Toggle */}
+              <button 
+                onClick={() => setIsRecursive(!isRecursive)}
+                className={cn("flex items-center px-3 py-1 rounded text-sm border", isRecursive ? "bg-blue-600 border-blue-500 text-white" : "border-gray-600 text-gray-400 hover:bg-gray-700")}
+              >
+                {isRecursive ? <CheckSquare className="w-4 h-4 mr-2" /> : <Square className="w-4 h-4 mr-2" />}
+                Subfolders
+              </button>
+            </>
+          )}
+
+          {/* Scan Status */}
+          {scanProgress && (
+            <span className="text-xs text-gray-400 whitespace-nowrap">
+              Scanning {scanProgress.processed} / {scanProgress.total}
+            </span>
+          )}
+          {scanError && gridPhotos.length > 0 && (
+            <span className="text-xs text-red-400 truncate max-w-xs" title={scanError}>{scanError}</span>
+          )}
+
+          <div className="h-6 w-px bg-gray-600 mx-2"></div>
+
+          {/* Filters */}
+          <button
+            onClick={() => setShowFilters(!showFilters)}
+            className={cn("flex items-center px-3 py-1 rounded text-sm border", showFilters ? "bg-blue-600 border-blue-500 text-white" : "border-gray-600 text-gray-400 hover:bg-gray-700")}
+            title="Show filters"
+          >
+            <Filter className="w-4 h-4 mr-2" />
+            Filters
+            {countActiveFilters(filter) > 0 && (
+              <span className="ml-2 px-1.5 rounded-full bg-blue-400 text-xs text-white">{countActiveFilters(filter)}</span>
+            )}
+          </button>
+
+          {/* Burst grouping */}
+          <button
+            onClick={() => setShowBursts(!showBursts)}
+            className={cn("flex items-center px-3 py-1 rounded text-sm border", showBursts ? "bg-blue-600 border-blue-500 text-white" : "border-gray-600 text-gray-400 hover:bg-gray-700")}
+            title="Group similar consecutive shots"
+          >
+            {loadingBursts ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Layers className="w-4 h-4 mr-2" />}
+            Bursts
+          </button>
+          <button
+            onClick={analyzeFolder}
+            disabled={analyzing}
+            className="p-1.5 rounded border border-gray-600 text-gray-400 hover:bg-gray-700 disabled:opacity-50"
+            title="Analyze sharpness and exposure"
+          >
+            {analyzing ? <Loader2 className="w-4 h-4 animate-spin" /> : <Gauge className="w-4 h-4" />}
+          </button>
+          <button
+            onClick={findDuplicates}
+            disabled={Boolean(collection)}
+            className="p-1.5 rounded border border-gray-600 text-gray-400 hover:bg-gray-700 disabled:opacity-50"
+            title="Find duplicates in this folder and its subfolders"
           >
-            {isRecursive ? <CheckSquare className="w-4 h-4 mr-2" /> : <Square className="w-4 h-4 mr-2" />}
-            Subfolders
+            <Files className="w-4 h-4" />
+          </button>
+          <button
+            onClick={() => setShowFileActions(true)}
+            className="p-1.5 rounded border border-gray-600 text-gray-400 hover:bg-gray-700"
+            title="Move, reject or trash photos"
+          >
+            <FolderInput className="w-4 h-4" />
+          </button>
+          <button
+            onClick={() => setShowImport(true)}
+            className="p-1.5 rounded border border-gray-600 text-gray-400 hover:bg-gray-700"
+            title="Import new photos from a memory card"
+          >
+            <Download className="w-4 h-4" />
           </button>
 
           <div className="h-6 w-px bg-gray-600 mx-2"></div>
 
-          {/* Filters */}
-          <div className="flex items-center space-x-2">
-            <Filter className="w-4 h-4 text-gray-400" />
-            
-            {/* Rating Filter */}
+          {/* Sort */}
+          <div className="flex items-center space-x-1">
             <select 
-              value={filterRating} 
-              onChange={(e) => setFilterRating(Number(e.target.value))}
+              value={sortBy} 
+              onChange={(e) => changeSort(e.target.value, sortOrder)}
               className="bg-gray-700 border-none text-sm rounded px-2 py-1 outline-none"
+              title="Sort by"
             >
-              <option value={0}>All Stars</option>
-              <option value={1}>1+ Stars</option>
-              <option value={2}>2+ Stars</option>
-              <option value={3}>3+ Stars</option>
-              <option value={4}>4+ Stars</option>
-              <option value={5}>5 Stars</option>
+              {SORT_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
             </select>
-
-            {/* Color Filter */}
-            <select 
-              value={filterColor} 
-              onChange={(e) => setFilterColor(e.target.value)}
-              className="bg-gray-700 border-none text-sm rounded px-2 py-1 outline-none"
+            <button
+              onClick={() => changeSort(sortBy, sortOrder === 'asc' ? 'desc' : 'asc')}
+              className="p-1 rounded text-gray-300 hover:bg-gray-700"
+              title={sortOrder === 'asc' ? 'Ascending' : 'Descending'}
             >
-              <option value="All">All Colors</option>
-              <option value="Red">Red</option>
-              <option value="Yellow">Yellow</option>
-              <option value="Green">Green</option>
-              <option value="Blue">Blue</option>
-            </select>
+              {sortOrder === 'asc' ? <ArrowUp className="w-4 h-4" /> : <ArrowDown className="w-4 h-4" />}
+            </button>
           </div>
 
           <div className="h-6 w-px bg-gray-600 mx-2"></div>
 
-          {/* Copy Tool */}
-          <div className="flex items-center space-x-2">
-            <input 
-              type="text" 
-              placeholder="Target Folder..." 
-              value={targetFolder}
-              onChange={(e) => setTargetFolder(e.target.value)}
-              className="bg-gray-700 border-none text-sm px-2 py-1 rounded w-32 focus:w-48 transition-all outline-none"
-            />
-            <button 
-              onClick={copyFilteredPhotos}
-              disabled={copying}
-              className="bg-green-600 hover:bg-green-700 text-white px-3 py-1 rounded text-sm flex items-center disabled:opacity-50"
-              title="Copy filtered photos to target folder"
-            >
-              <Copy className="w-4 h-4 mr-2" />
-              {copying ? 'Copying...' : 'Copy'}
-            </button>
-          </div>
+          {/* Export */}
+          <button 
+            onClick={() => setShowExport(true)}
+            className="bg-green-600 hover:bg-green-700 text-white px-3 py-1 rounded text-sm flex items-center"
+            title="Copy or convert the filtered photos into a folder"
+          >
+            <Copy className="w-4 h-4 mr-2" />
+            Export
+          </button>
 
         </div>
 
+        {notice && (
+          <div className="flex items-center px-4 py-1.5 bg-gray-700 border-b border-gray-600 text-sm">
+            <span className="flex-1 truncate">{notice.message}</span>
+            {notice.manifest && (
+              <button onClick={undoFileAction} className="flex items-center px-2 py-0.5 rounded hover:bg-gray-600">
+                <Undo2 className="w-4 h-4 mr-1" /> Undo
+              </button>
+            )}
+            <button onClick={() => setNotice(null)} className="p-1 ml-1 text-gray-400 hover:text-white"><X className="w-4 h-4" /></button>
+          </div>
+        )}
+
+        {showFilters && <FilterBar filter={filter} onChange={setFilter} photos={allPhotos} />}
+
         {/* Main View Area with Resizable Thumbnail Panel */}
         <div className="flex-1 flex overflow-hidden">
           
           {/* Large Preview */}
           <div className="flex-1 relative flex items-center justify-center bg-black overflow-hidden">
-            {currentPhoto ? (
+            {viewMode === 'compare' && viewPhotos.length === 2 ? (
+              <CompareView
+                photos={viewPhotos}
+                onChange={(photo, rating, flag) => updateMetadata(rating, undefined, flag, [photo])}
+                onClose={closeView}
+              />
+            ) : viewMode === 'survey' && viewPhotos.length > 0 ? (
+              <SurveyView
+                photos={viewPhotos}
+                onChange={(photo, rating, flag) => updateMetadata(rating, undefined, flag, [photo])}
+                onDrop={(photo) => setViewIds(prev => prev.filter(id => id !== photo.id))}
+                onClose={closeView}
+              />
+            ) : currentPhoto ? (
               <>
-                <img 
-                  src={`${API_URL}/image?file=${encodeURIComponent(currentPhoto.path)}`} 
-                  alt={currentPhoto.name}
-                  className="max-w-full max-h-full object-contain"
-                />
+                <ZoomableImage photo={currentPhoto} zoom={zoom} onZoomChange={changeZoom} />
+
+                {/* Info Panel Toggle */}
+                <button
+                  onClick={() => setShowInfo(!showInfo)}
+                  className={cn("absolute top-4 left-4 p-1.5 rounded bg-black/50 hover:bg-black/70", showInfo ? "text-blue-400" : "text-gray-300")}
+                  title="Photo info (I)"
+                >
+                  <Info className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={startCompare}
+                  className="absolute top-4 left-14 p-1.5 rounded bg-black/50 hover:bg-black/70 text-gray-300"
+                  title="Compare with the next photo, or the two selected (C)"
+                >
+                  <Columns className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={startSurvey}
+                  disabled={selectedIds.size < 2}
+                  className="absolute top-4 left-24 p-1.5 rounded bg-black/50 hover:bg-black/70 text-gray-300 disabled:opacity-40"
+                  title="Survey the selected photos (S)"
+                >
+                  <LayoutGrid className="w-4 h-4" />
+                </button>
+                {showInfo && <InfoPanel photo={currentPhoto} />}
                 
                 {/* Overlay Info */}
                 <div className="absolute bottom-4 left-4 bg-black/50 backdrop-blur px-4 py-2 rounded text-white">
                   <div className="font-medium">{currentPhoto.name}</div>
+                  {selectedIds.size > 1 && (
+                    <div className="text-xs text-blue-300">{selectedIds.size} selected - rating and label keys apply to all</div>
+                  )}
                   <div className="flex items-center mt-1 space-x-2">
                     <div className="flex">
                       {[1, 2, 3, 4, 5].map(star => (
@@ -363,13 +1129,33 @@ function App() {
                         {currentPhoto.label}
                       </span>
                     )}
+                    {currentPhoto.flag === 'pick' && (
+                      <span className="text-xs px-2 py-0.5 rounded-full border border-white/60 flex items-center">
+                        <Flag className="w-3 h-3 mr-1 fill-white" /> Pick
+                      </span>
+                    )}
+                    {currentPhoto.flag === 'reject' && (
+                      <span className="text-xs px-2 py-0.5 rounded-full border border-red-500 text-red-400 flex items-center">
+                        <Ban className="w-3 h-3 mr-1" /> Rejected
+                      </span>
+                    )}
                   </div>
+                  <KeywordEditor
+                    photos={getSelectedPhotos()}
+                    suggestions={folderKeywords}
+                    onAdd={(keyword) => updateKeywords([keyword], [])}
+                    onRemove={(keyword) => updateKeywords([], [keyword])}
+                  />
                 </div>
               </>
             ) : (
               <div className="text-gray-500 flex flex-col items-center">
                 <ImageIcon className="w-16 h-16 mb-4 opacity-20" />
-                <p>{loading ? "Scanning..." : "No photos found"}</p>
+                {scanError ? (
+                  <p className="text-red-400">{scanError}</p>
+                ) : (
+                  <p>{loading ? "Scanning..." : "No photos found"}</p>
+                )}
               </div>
             )}
           </div>
@@ -395,26 +1181,40 @@ function App() {
                 gridTemplateColumns: `repeat(${columnsCount}, minmax(0, 1fr))` 
               }}
             >
-              {photos.map((photo, idx) => {
+              {gridPhotos.map((photo, idx) => {
                 const isSelected = idx === selectedIndex;
+                const isMultiSelected = selectedIds.has(photo.id);
                 
                 return (
                   <div 
                     key={photo.path}
                     ref={el => thumbnailRefs.current[idx] = el}
-                    onClick={() => setSelectedIndex(idx)}
+                    onClick={(e) => handleThumbnailClick(e, idx)}
                     className={cn(
                       "relative w-full aspect-square cursor-pointer border-2 rounded overflow-hidden group transition-all",
-                      isSelected ? "border-white ring-2 ring-blue-500" : "border-transparent hover:border-gray-600",
+                      isSelected ? "border-white ring-2 ring-blue-500" : isMultiSelected ? "border-blue-400 ring-1 ring-blue-400" : "border-transparent hover:border-gray-600",
                       getColorClass(photo.label)
                     )}
                   >
                     <img 
                       src={`${API_URL}/thumbnail?file=${encodeURIComponent(photo.path)}`} 
                       alt={photo.name}
-                      className="w-full h-full object-cover"
+                      className={cn("w-full h-full object-cover", photo.flag === 'reject' && "opacity-40")}
                       loading="lazy"
                     />
+
+                    {/* Pick / reject flag */}
+                    {photo.flag === 'pick' && (
+                      <Flag className="absolute bottom-1 left-1 w-3 h-3 fill-white text-white drop-shadow" />
+                    )}
+                    {photo.flag === 'reject' && (
+                      <Ban className="absolute bottom-1 left-1 w-3 h-3 text-red-500 drop-shadow" />
+                    )}
+                    {isLikelyBlurry(photo, medianSharpness) && (
+                      <span className="absolute bottom-1 left-5" title="Likely out of focus">
+                        <Focus className="w-3 h-3 text-amber-400 drop-shadow" />
+                      </span>
+                    )}
                     
                     {/* Thumbnail Overlay */}
                     <div className="absolute bottom-0 left-0 right-0 bg-gradient-to-t from-black/90 to-transparent p-1.5 opacity-0 group-hover:opacity-100 transition-opacity">
@@ -429,8 +1229,40 @@ function App() {
                       <div className="text-[10px] text-gray-300 text-center truncate">{photo.name}</div>
                     </div>
                     
+                    {/* RAW / stack badge */}
+                    {getStackBadge(photo) && (
+                      <div className="absolute top-1 left-1 bg-black/70 text-[9px] font-bold text-gray-200 px-1 rounded">{getStackBadge(photo)}</div>
+                    )}
+
+                    {/* Burst: count on the first photo (click to expand/collapse), a marker on the others */}
+                    {photo.burst?.first && (
+                      <button
+                        onClick={(e) => { e.stopPropagation(); toggleBurst(photo.burst.id); }}
+                        className={cn("absolute bottom-1 right-1 flex items-center text-[10px] font-bold px-1 rounded", photo.burst.expanded ? "bg-amber-500 text-black" : "bg-black/70 text-amber-300")}
+                        title={photo.burst.expanded ? "Collapse burst (B)" : `Show all ${photo.burst.count} shots (B)`}
+                      >
+                        <Layers className="w-3 h-3 mr-0.5" />{photo.burst.count}
+                      </button>
+                    )}
+                    {photo.burst && !photo.burst.first && (
+                      <div className="absolute top-0 left-0 right-0 h-0.5 bg-amber-400"></div>
+                    )}
+
+                    {/* Metadata write status */}
+                    {failedWrites[photo.id] ? (
+                      <button
+                        onClick={(e) => { e.stopPropagation(); retryWrite(photo.id); }}
+                        className="absolute top-1 right-5 bg-red-600 rounded p-0.5"
+                        title={`Saving failed: ${failedWrites[photo.id].error}. Click to retry.`}
+                      >
+                        <AlertTriangle className="w-3 h-3 text-white" />
+                      </button>
+                    ) : pendingWrites[photo.id] ? (
+                      <Loader2 className="absolute top-1 right-5 w-3 h-3 text-gray-200 animate-spin" />
+                    ) : null}
+
                     {/* Selection indicator - always visible for selected */}
-                    {isSelected && (
+                    {(isSelected || isMultiSelected) && (
                       <div className="absolute top-1 right-1 bg-blue-500 rounded-full w-3 h-3 border-2 border-white"></div>
                     )}
                   </div>
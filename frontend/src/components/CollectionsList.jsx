@@ -0,0 +1,205 @@
+import React, { useState, useEffect } from 'react';
+import { Library, Plus, Minus, Trash2 } from 'lucide-react';
+import { clsx } from 'clsx';
+import ConfirmDialog from './ConfirmDialog';
+
+const API_URL = 'http://localhost:3001/api';
+
+// Collections in the sidebar, under the folder tree. Clicking one opens it in the grid
+// (`onOpen(collection)`); the buttons add the selected photos to a collection, remove them
+// from the open one (`onRemoved(paths)` so the grid can drop them), or delete a collection.
+// Double-click a name to rename it; Enter saves a name, Esc or clicking elsewhere cancels.
+const CollectionsList = ({ activeId, selected, onOpen, onRemoved }) => {
+  const [collections, setCollections] = useState([]);
+  const [newName, setNewName] = useState(null); // null while not creating one
+  const [renaming, setRenaming] = useState(null); // { id, name }
+  const [deleting, setDeleting] = useState(null); // The collection waiting for confirmation
+
+  useEffect(() => {
+    fetch(`${API_URL}/collections`)
+      .then(res => res.json())
+      .then(data => setCollections(data.collections || []))
+      .catch(err => console.error("Failed to load collections", err));
+  }, []);
+
+  const request = async (url, method, body) => {
+    const res = await fetch(`${API_URL}${url}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body)
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Request failed');
+    return data;
+  };
+
+  const replace = (collection) => {
+    setCollections(prev => prev.map(c => (c.id === collection.id ? collection : c)));
+    if (collection.id === activeId) onOpen(collection);
+  };
+
+  const create = async () => {
+    const name = newName && newName.trim();
+    setNewName(null);
+    if (!name) return;
+    try {
+      const { collection } = await request('/collections', 'POST', { name });
+      setCollections(prev => [...prev, collection]);
+    } catch (err) {
+      console.error("Failed to create collection", err);
+    }
+  };
+
+  const rename = async () => {
+    const { id, name } = renaming;
+    setRenaming(null);
+    if (!name.trim()) return;
+    try {
+      replace((await request(`/collections/${id}`, 'PATCH', { name })).collection);
+    } catch (err) {
+      console.error("Failed to rename collection", err);
+    }
+  };
+
+  const addSelected = async (collection) => {
+    if (selected.length === 0) return;
+    try {
+      replace((await request(`/collections/${collection.id}/add`, 'POST', { files: selected.map(p => p.path) })).collection);
+    } catch (err) {
+      console.error("Failed to add to collection", err);
+    }
+  };
+
+  const removeSelected = async (collection) => {
+    if (selected.length === 0) return;
+    const files = selected.map(p => p.path);
+    try {
+      replace((await request(`/collections/${collection.id}/remove`, 'POST', { files })).collection);
+      onRemoved(selected.flatMap(p => p.files.map(f => f.path)));
+    } catch (err) {
+      console.error("Failed to remove from collection", err);
+    }
+  };
+
+  const remove = async (collection) => {
+    setDeleting(null);
+    try {
+      await request(`/collections/${collection.id}`, 'DELETE');
+      setCollections(prev => prev.filter(c => c.id !== collection.id));
+      if (collection.id === activeId) onOpen(null);
+    } catch (err) {
+      console.error("Failed to delete collection", err);
+    }
+  };
+
+  const handleKeyDown = (e, save, cancel) => {
+    e.stopPropagation(); // Keep the grid shortcuts out of it
+    if (e.key === 'Enter') save();
+    if (e.key === 'Escape') cancel();
+  };
+
+  return (
+    <div className="flex flex-col max-h-[40%] border-t border-gray-700 select-none">
+      <div className="p-2 border-b border-gray-700 flex items-center justify-between bg-gray-800">
+        <span className="text-xs font-bold text-gray-400 uppercase tracking-wider">Collections</span>
+        <button
+          onClick={() => setNewName('')}
+          className="text-xs bg-gray-700 hover:bg-gray-600 p-1 rounded text-gray-300"
+          title="New collection"
+        >
+          <Plus className="w-3 h-3" />
+        </button>
+      </div>
+
+      <div className="overflow-y-auto py-1">
+        {newName !== null && (
+          <input
+            autoFocus
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            onKeyDown={(e) => handleKeyDown(e, create, () => setNewName(null))}
+            onBlur={() => setNewName(null)}
+            placeholder="Collection name"
+            className="mx-2 my-1 w-[calc(100%-1rem)] bg-gray-700 border-none text-sm px-2 py-1 rounded outline-none"
+          />
+        )}
+        {collections.length === 0 && newName === null && (
+          <div className="px-4 py-2 text-xs text-gray-500">No collections yet</div>
+        )}
+
+        {collections.map(collection => {
+          const isActive = collection.id === activeId;
+          return (
+            <div
+              key={collection.id}
+              onClick={() => onOpen(collection)}
+              className={clsx(
+                "group flex items-center py-1 px-3 cursor-pointer text-sm transition-colors",
+                isActive ? "bg-blue-600 hover:bg-blue-700 text-white" : "hover:bg-gray-700"
+              )}
+            >
+              <Library className={clsx("w-4 h-4 mr-2 shrink-0", isActive ? "text-white" : "text-purple-400")} />
+              {renaming && renaming.id === collection.id ? (
+                <input
+                  autoFocus
+                  value={renaming.name}
+                  onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                  onKeyDown={(e) => handleKeyDown(e, rename, () => setRenaming(null))}
+                  onBlur={() => setRenaming(null)}
+                  onClick={(e) => e.stopPropagation()}
+                  className="flex-1 min-w-0 bg-gray-700 border-none text-sm px-1 rounded outline-none text-white"
+                />
+              ) : (
+                <span
+                  className="flex-1 truncate"
+                  onDoubleClick={(e) => {
+                    e.stopPropagation();
+                    setRenaming({ id: collection.id, name: collection.name });
+                  }}
+                >
+                  {collection.name}
+                </span>
+              )}
+
+              <span className="flex items-center ml-1 space-x-0.5 opacity-0 group-hover:opacity-100" onClick={(e) => e.stopPropagation()}>
+                <button
+                  onClick={() => addSelected(collection)}
+                  disabled={selected.length === 0}
+                  className="p-0.5 rounded hover:bg-white/10 disabled:opacity-30"
+                  title={`Add ${selected.length} selected photos`}
+                >
+                  <Plus className="w-3 h-3" />
+                </button>
+                {isActive && (
+                  <button
+                    onClick={() => removeSelected(collection)}
+                    disabled={selected.length === 0}
+                    className="p-0.5 rounded hover:bg-white/10 disabled:opacity-30"
+                    title={`Remove ${selected.length} selected photos from this collection`}
+                  >
+                    <Minus className="w-3 h-3" />
+                  </button>
+                )}
+                <button onClick={() => setDeleting(collection)} className="p-0.5 rounded hover:bg-white/10" title="Delete collection">
+                  <Trash2 className="w-3 h-3" />
+                </button>
+              </span>
+              <span className={clsx("ml-1 text-xs", isActive ? "text-blue-100" : "text-gray-500")}>{collection.count}</span>
+            </div>
+          );
+        })}
+      </div>
+
+      {deleting && (
+        <ConfirmDialog
+          message={`Delete the collection "${deleting.name}"? The photos themselves stay where they are.`}
+          confirmLabel="Delete"
+          onConfirm={() => remove(deleting)}
+          onCancel={() => setDeleting(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default CollectionsList;
@@ -0,0 +1,84 @@
+import React, { useState, useRef } from 'react';
+import { X } from 'lucide-react';
+import { clsx } from 'clsx';
+import { twMerge } from 'tailwind-merge';
+import PhotoControls from './PhotoControls';
+
+const API_URL = 'http://localhost:3001/api';
+
+const MAX_SCALE = 8;
+
+function cn(...inputs) {
+  return twMerge(clsx(inputs));
+}
+
+// Two photos side by side. Zooming (mouse wheel) and panning (drag) either one moves
+// both the same way, so the same detail can be checked in each. Double-click resets.
+const CompareView = ({ photos, onChange, onClose }) => {
+  const [view, setView] = useState({ scale: 1, x: 0, y: 0 });
+  const dragRef = useRef(null);
+
+  const handleWheel = (e) => {
+    const factor = e.deltaY < 0 ? 1.2 : 1 / 1.2;
+    setView(prev => {
+      const scale = Math.max(1, Math.min(MAX_SCALE, prev.scale * factor));
+      // Back at fit, nothing to pan
+      return scale === 1 ? { scale, x: 0, y: 0 } : { ...prev, scale };
+    });
+  };
+
+  const handleMouseDown = (e) => {
+    e.preventDefault();
+    dragRef.current = { startX: e.clientX, startY: e.clientY, x: view.x, y: view.y };
+  };
+
+  const handleMouseMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    setView(prev => ({ ...prev, x: drag.x + e.clientX - drag.startX, y: drag.y + e.clientY - drag.startY }));
+  };
+
+  const stopDrag = () => { dragRef.current = null; };
+
+  return (
+    <div className="absolute inset-0 flex flex-col">
+      <div className="flex items-center justify-between px-4 py-2 text-sm text-gray-300 bg-gray-900 shrink-0">
+        <span>Compare - scroll to zoom, drag to pan, double-click to reset ({Math.round(view.scale * 100)}%)</span>
+        <button onClick={onClose} className="flex items-center hover:text-white" title="Back to single view (Esc)">
+          <X className="w-4 h-4 mr-1" /> Close
+        </button>
+      </div>
+      <div
+        className="flex-1 flex min-h-0"
+        onWheel={handleWheel}
+        onMouseMove={handleMouseMove}
+        onMouseUp={stopDrag}
+        onMouseLeave={stopDrag}
+        onDoubleClick={() => setView({ scale: 1, x: 0, y: 0 })}
+      >
+        {photos.map(photo => (
+          <div key={photo.id} className="flex-1 flex flex-col min-w-0 border-r border-gray-800 last:border-r-0">
+            <div
+              className={cn("flex-1 relative overflow-hidden flex items-center justify-center", view.scale > 1 ? "cursor-grab" : "cursor-zoom-in")}
+              onMouseDown={handleMouseDown}
+            >
+              <img
+                src={`${API_URL}/image?file=${encodeURIComponent(photo.path)}`}
+                alt={photo.name}
+                draggable={false}
+                className={cn("max-w-full max-h-full object-contain", photo.flag === 'reject' && "opacity-40")}
+                style={{ transform: `translate(${view.x}px, ${view.y}px) scale(${view.scale})` }}
+              />
+            </div>
+            <div className="flex items-center justify-between px-3 py-2 bg-gray-900 text-sm">
+              <span className="truncate mr-2" title={photo.path}>{photo.name}</span>
+              <PhotoControls photo={photo} onChange={(rating, flag) => onChange(photo, rating, flag)} />
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default CompareView;
@@ -0,0 +1,32 @@
+import React from 'react';
+
+// Ask before doing something that can't easily be undone. Shown over everything else,
+// panels included; a click outside or Esc cancels without reaching what is underneath.
+// Cancel has the focus, so Enter doesn't confirm by accident.
+const ConfirmDialog = ({ message, confirmLabel = 'OK', onConfirm, onCancel }) => (
+  <div
+    className="fixed inset-0 z-[60] bg-black/70 flex items-center justify-center"
+    onClick={(e) => {
+      e.stopPropagation();
+      onCancel();
+    }}
+    onKeyDown={(e) => {
+      e.stopPropagation(); // Keep the grid shortcuts out of it
+      if (e.key === 'Escape') onCancel();
+    }}
+  >
+    <div className="bg-gray-800 rounded-lg w-[24rem] text-sm shadow-xl" onClick={(e) => e.stopPropagation()}>
+      <div className="p-4">{message}</div>
+      <div className="flex justify-end space-x-2 px-4 py-3 border-t border-gray-700">
+        <button autoFocus onClick={onCancel} className="px-3 py-1 rounded bg-gray-700 hover:bg-gray-600">
+          Cancel
+        </button>
+        <button onClick={onConfirm} className="px-3 py-1 rounded bg-red-600 hover:bg-red-700 text-white">
+          {confirmLabel}
+        </button>
+      </div>
+    </div>
+  </div>
+);
+
+export default ConfirmDialog;
@@ -0,0 +1,166 @@
+import React, { useState } from 'react';
+import { X, Loader2, Copy, Eye } from 'lucide-react';
+import { clsx } from 'clsx';
+import { twMerge } from 'tailwind-merge';
+
+const API_URL = 'http://localhost:3001/api';
+
+function cn(...inputs) {
+  return twMerge(clsx(inputs));
+}
+
+const formatSize = (bytes) => (bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.round(bytes / 1024)} KB`);
+
+// Both kinds of group as { key, kind, items: [{ path, size, files }] }, where `files`
+// is everything that moves if the item isn't kept
+const toGroups = (data) => [
+  ...data.exact.map(group => ({
+    key: `exact:${group.hash}`,
+    kind: 'exact',
+    items: group.files.map(file => ({ path: file, size: group.size, files: [file] }))
+  })),
+  ...data.similar.map(group => ({
+    key: `similar:${group.photos[0].id}`,
+    kind: 'similar',
+    items: group.photos.map(photo => ({ path: photo.path, size: photo.size, files: photo.files.map(f => f.path) }))
+  })),
+];
+
+// Duplicates under `root`: byte-identical files and photos that look the same.
+// `job` is the duplicate search, polled by the app like any other job; while it runs the
+// panel shows its progress and `onCancel(id)` stops it. Each group keeps one item (the first,
+// unless another is chosen); the others can be moved into the _rejects folder.
+// `onMoved(paths)` reports the files that moved.
+const DuplicatesPanel = ({ root, job, onCancel, onMoved, onClose }) => {
+  const [resolved, setResolved] = useState(new Set()); // Keys of the groups moved away
+  const [error, setError] = useState(null);
+  const [keep, setKeep] = useState({}); // group key -> kept path
+  const [moving, setMoving] = useState(false);
+
+  const running = job.status === 'running';
+  const percent = job.bytesTotal > 0 ? Math.round((job.bytesDone / job.bytesTotal) * 100) : 0;
+  const groups = job.result ? toGroups(job.result).filter(group => !resolved.has(group.key)) : null;
+
+  const getKept = (group) => keep[group.key] || group.items[0].path;
+
+  // Move everything but the kept item of each group
+  const resolve = async (toResolve) => {
+    const files = toResolve.flatMap(group => group.items.filter(item => item.path !== getKept(group)).flatMap(item => item.files));
+    if (files.length === 0) return;
+
+    setMoving(true);
+    try {
+      const res = await fetch(`${API_URL}/files/reject`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ root, files })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to move duplicates');
+
+      const failedFiles = new Set(data.failed.map(f => f.file));
+      const done = new Set(toResolve.filter(group => !group.items.some(item => item.files.some(f => failedFiles.has(f)))).map(g => g.key));
+      setResolved(prev => new Set([...prev, ...done]));
+      onMoved(data.moved.map(m => m.from));
+      setError(data.failed.length > 0 ? `${data.failed.length} files could not be moved: ${data.failed[0].error}` : null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setMoving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/70 flex items-center justify-center" onClick={onClose}>
+      <div className="bg-gray-800 rounded-lg w-[48rem] max-h-[85vh] flex flex-col text-sm" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between px-4 py-3 border-b border-gray-700">
+          <div className="min-w-0">
+            <div className="font-medium">Duplicates</div>
+            <div className="text-xs text-gray-400 truncate">{root} and all subfolders</div>
+          </div>
+          <div className="flex items-center space-x-2">
+            {groups && groups.length > 0 && (
+              <button
+                onClick={() => resolve(groups)}
+                disabled={moving}
+                className="bg-red-600 hover:bg-red-700 text-white px-3 py-1 rounded disabled:opacity-50"
+                title="Keep the chosen copy of every group, move the rest to _rejects"
+              >
+                Resolve All
+              </button>
+            )}
+            <button onClick={onClose} className="p-1 text-gray-400 hover:text-white"><X className="w-4 h-4" /></button>
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4 space-y-4">
+          {error && <div className="text-red-400">{error}</div>}
+          {running && (
+            <div>
+              <div className="flex items-center text-gray-400">
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" /> Looking for duplicates...
+                <span className="ml-2">{job.total > 0 && `${job.processed} / ${job.total} files`}</span>
+                <button
+                  onClick={() => onCancel(job.id)}
+                  className="ml-auto text-xs px-2 py-0.5 rounded border border-gray-600 hover:bg-gray-700"
+                >
+                  Cancel
+                </button>
+              </div>
+              <div className="h-1.5 bg-gray-700 rounded mt-2 overflow-hidden">
+                <div className="h-full bg-blue-500 transition-all" style={{ width: `${percent}%` }} />
+              </div>
+            </div>
+          )}
+          {job.status === 'failed' && <div className="text-red-400">{job.error}</div>}
+          {job.status === 'cancelled' && <div className="text-gray-400">Search cancelled - only the duplicates found until then are listed.</div>}
+          {!running && job.errorCount > 0 && (
+            <div className="text-yellow-400">{job.errorCount} files could not be read: {job.errors[0].error}</div>
+          )}
+          {job.status === 'done' && groups.length === 0 && <div className="text-gray-400">No duplicates found.</div>}
+
+          {groups && groups.map(group => (
+            <div key={group.key} className="bg-gray-900 rounded p-3">
+              <div className="flex items-center justify-between mb-2">
+                <span className="flex items-center text-xs text-gray-400">
+                  {group.kind === 'exact'
+                    ? <><Copy className="w-3 h-3 mr-1" /> Identical files</>
+                    : <><Eye className="w-3 h-3 mr-1" /> Look the same</>}
+                </span>
+                <button
+                  onClick={() => resolve([group])}
+                  disabled={moving}
+                  className="text-xs px-2 py-0.5 rounded border border-gray-600 hover:bg-gray-700 disabled:opacity-50"
+                >
+                  Move others to _rejects
+                </button>
+              </div>
+              <div className="space-y-1">
+                {group.items.map(item => (
+                  <label
+                    key={item.path}
+                    className={cn("flex items-center p-1 rounded cursor-pointer", getKept(group) === item.path ? "bg-blue-900/40" : "hover:bg-gray-800")}
+                  >
+                    <input
+                      type="radio"
+                      name={group.key}
+                      checked={getKept(group) === item.path}
+                      onChange={() => setKeep(prev => ({ ...prev, [group.key]: item.path }))}
+                      className="mr-2"
+                    />
+                    <img src={`${API_URL}/thumbnail?file=${encodeURIComponent(item.path)}`} alt="" className="w-12 h-12 object-cover rounded mr-3" loading="lazy" />
+                    <span className="flex-1 truncate" title={item.path}>{item.path}</span>
+                    <span className="text-xs text-gray-400 ml-2 shrink-0">{formatSize(item.size)}</span>
+                    {getKept(group) === item.path && <span className="text-xs text-blue-300 ml-2 shrink-0">Keep</span>}
+                  </label>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DuplicatesPanel;
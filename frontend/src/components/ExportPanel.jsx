@@ -0,0 +1,226 @@
+import React, { useState } from 'react';
+import { X, Loader2, Copy } from 'lucide-react';
+
+const API_URL = 'http://localhost:3001/api';
+
+const SETTINGS_KEY = 'photopicks.exportSettings';
+
+const DEFAULT_SETTINGS = {
+  destination: '',
+  include: 'both',
+  template: '{name}',
+  conflict: 'suffix',
+  preserveFolders: false,
+  resize: false,
+  longEdge: 2048,
+  quality: 90,
+  keepMetadata: true
+};
+
+const TOKENS = ['name', 'date', 'time', 'seq', 'rating', 'label', 'folder'];
+
+const loadSettings = () => {
+  try {
+    return { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) };
+  } catch (err) {
+    return DEFAULT_SETTINGS;
+  }
+};
+
+// What the template makes of `photo` (the backend does the same, this is just a preview)
+const previewName = (template, photo, resize) => {
+  const date = photo.captureDate || photo.modifiedDate || '';
+  const values = {
+    name: photo.name.replace(/\.[^.]+$/, ''),
+    date: date.slice(0, 10),
+    time: date.slice(11, 19).replace(/:/g, ''),
+    seq: '0001',
+    rating: String(photo.rating || 0),
+    label: photo.label || '',
+    folder: photo.path.split(/[\\/]/).slice(-2, -1)[0] || ''
+  };
+  const ext = resize ? '.jpg' : photo.name.slice(photo.name.lastIndexOf('.'));
+  return template.replace(/\{(\w+)\}/g, (match, token) => values[token] ?? match) + ext;
+};
+
+const inputClass = "bg-gray-700 border-none rounded px-2 py-1 outline-none";
+
+// Export the photos in the grid (as filtered and sorted) to a folder: as original files or
+// re-encoded JPEGs, renamed by a template. Settings are remembered between exports.
+// The export runs as a background job; `onStarted(job)` hands it over once it is created.
+// `root` is the open folder, null for a collection (which has no subfolders to keep).
+const ExportPanel = ({ photos, root, onStarted, onClose }) => {
+  const [settings, setSettings] = useState(loadSettings);
+  const [starting, setStarting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const change = (key, value) => {
+    const next = { ...settings, [key]: value };
+    setSettings(next);
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(next));
+  };
+
+  const runExport = async () => {
+    setStarting(true);
+    setError(null);
+    try {
+      const res = await fetch(`${API_URL}/jobs`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          type: 'export',
+          files: photos.map(p => p.files.map(f => f.path)),
+          destination: settings.destination,
+          root,
+          include: settings.include,
+          template: settings.template,
+          conflict: settings.conflict,
+          preserveFolders: settings.preserveFolders,
+          resize: settings.resize
+            ? { longEdge: Number(settings.longEdge) || null, quality: Number(settings.quality), keepMetadata: settings.keepMetadata }
+            : null
+        })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Export failed');
+      onStarted(data.job);
+    } catch (err) {
+      setError(err.message);
+      setStarting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/70 flex items-center justify-center" onClick={onClose}>
+      <div className="bg-gray-800 rounded-lg w-[32rem] flex flex-col text-sm" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between px-4 py-3 border-b border-gray-700">
+          <div className="font-medium">Export {photos.length} photos</div>
+          <button onClick={onClose} className="p-1 text-gray-400 hover:text-white"><X className="w-4 h-4" /></button>
+        </div>
+
+        <div className="p-4 space-y-3">
+          <label className="block">
+            <span className="text-xs text-gray-400">Destination folder</span>
+            <input
+              type="text"
+              value={settings.destination}
+              onChange={(e) => change('destination', e.target.value)}
+              className={`${inputClass} w-full mt-1`}
+              placeholder="Target Folder..."
+            />
+          </label>
+
+          <label className="block">
+            <span className="text-xs text-gray-400">File names</span>
+            <input
+              type="text"
+              value={settings.template}
+              onChange={(e) => change('template', e.target.value)}
+              className={`${inputClass} w-full mt-1 font-mono`}
+            />
+            <span className="block text-xs text-gray-500 mt-1">
+              {TOKENS.map(token => `{${token}}`).join(' ')} - a / makes subfolders
+            </span>
+            {photos.length > 0 && (
+              <span className="block text-xs text-gray-400 mt-1 truncate">
+                e.g. {previewName(settings.template, photos[0], settings.resize)}
+              </span>
+            )}
+          </label>
+
+          <div className="flex space-x-3">
+            <label className="flex-1">
+              <span className="text-xs text-gray-400">Files</span>
+              <select value={settings.include} onChange={(e) => change('include', e.target.value)} className={`${inputClass} w-full mt-1`}>
+                <option value="both">RAW+JPEG</option>
+                <option value="raw">RAW only</option>
+                <option value="jpeg">JPEG only</option>
+              </select>
+            </label>
+            <label className="flex-1">
+              <span className="text-xs text-gray-400">If the name is taken</span>
+              <select value={settings.conflict} onChange={(e) => change('conflict', e.target.value)} className={`${inputClass} w-full mt-1`}>
+                <option value="suffix">Add a number</option>
+                <option value="skip">Skip</option>
+                <option value="overwrite">Overwrite</option>
+              </select>
+            </label>
+          </div>
+
+          {root && (
+            <label className="flex items-center">
+              <input
+                type="checkbox"
+                checked={settings.preserveFolders}
+                onChange={(e) => change('preserveFolders', e.target.checked)}
+                className="mr-2"
+              />
+              Keep subfolders (relative to the current folder)
+            </label>
+          )}
+
+          <label className="flex items-center">
+            <input
+              type="checkbox"
+              checked={settings.resize}
+              onChange={(e) => change('resize', e.target.checked)}
+              className="mr-2"
+            />
+            Convert to JPEG
+          </label>
+
+          {settings.resize && (
+            <div className="flex items-end space-x-3 pl-6">
+              <label>
+                <span className="block text-xs text-gray-400">Long edge (px)</span>
+                <input
+                  type="number"
+                  min="1"
+                  value={settings.longEdge}
+                  onChange={(e) => change('longEdge', e.target.value)}
+                  className={`${inputClass} w-24 mt-1`}
+                  placeholder="Full size"
+                />
+              </label>
+              <label>
+                <span className="block text-xs text-gray-400">Quality</span>
+                <input
+                  type="number"
+                  min="1"
+                  max="100"
+                  value={settings.quality}
+                  onChange={(e) => change('quality', e.target.value)}
+                  className={`${inputClass} w-16 mt-1`}
+                />
+              </label>
+              <label className="flex items-center pb-1">
+                <input
+                  type="checkbox"
+                  checked={settings.keepMetadata}
+                  onChange={(e) => change('keepMetadata', e.target.checked)}
+                  className="mr-2"
+                />
+                Keep metadata
+              </label>
+            </div>
+          )}
+
+          {error && <div className="text-red-400">{error}</div>}
+        </div>
+
+        <div className="flex justify-end px-4 py-3 border-t border-gray-700">
+          <button
+            onClick={runExport}
+            disabled={starting || !settings.destination || photos.length === 0}
+            className="bg-green-600 hover:bg-green-700 text-white px-3 py-1 rounded flex items-center disabled:opacity-50"
+          >
+            {starting ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Copy className="w-4 h-4 mr-2" />}
+            Export
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExportPanel;
@@ -0,0 +1,138 @@
+import React, { useState } from 'react';
+import { X, Loader2, FolderInput, ArchiveX, Trash2 } from 'lucide-react';
+import { clsx } from 'clsx';
+import { twMerge } from 'tailwind-merge';
+import ConfirmDialog from './ConfirmDialog';
+
+const API_URL = 'http://localhost:3001/api';
+
+function cn(...inputs) {
+  return twMerge(clsx(inputs));
+}
+
+const SCOPES = [
+  { value: 'selected', label: 'Selected' },
+  { value: 'rejected', label: 'Rejected' },
+  { value: 'filtered', label: 'All shown' },
+];
+
+// Move, reject or trash photos (every member of their stacks, with sidecars).
+// scopes: { selected, rejected, filtered } - the photo lists to choose from.
+// `onDone({ verb, photos, paths, manifest, failed })` reports the outcome: the photos acted
+// on, the paths that left the folder, and the undo manifest id (moves only).
+// Without a `root` (a collection is open) there is no _rejects folder to move to.
+const FileActionsPanel = ({ scopes, root, onDone, onClose }) => {
+  const [scope, setScope] = useState(scopes.selected.length > 1 ? 'selected' : 'rejected');
+  const [destination, setDestination] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [confirmingTrash, setConfirmingTrash] = useState(false);
+
+  const targets = scopes[scope];
+
+  const run = async (action, body, verb) => {
+    setBusy(true);
+    setError(null);
+    try {
+      const files = targets.flatMap(p => p.files.map(f => f.path));
+      const res = await fetch(`${API_URL}/files/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ files, ...body })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `Failed to ${action} files`);
+
+      onDone({
+        verb,
+        photos: targets,
+        paths: data.moved ? data.moved.map(m => m.from) : data.trashed,
+        manifest: data.manifest || null,
+        failed: data.failed
+      });
+    } catch (err) {
+      setError(err.message);
+      setBusy(false);
+    }
+  };
+
+  const moveToTrash = () => {
+    setConfirmingTrash(false);
+    run('trash', {}, 'Moved to the trash');
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/70 flex items-center justify-center" onClick={onClose}>
+      <div className="bg-gray-800 rounded-lg w-[28rem] flex flex-col text-sm" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between px-4 py-3 border-b border-gray-700">
+          <div className="font-medium">Move photos</div>
+          <button onClick={onClose} className="p-1 text-gray-400 hover:text-white"><X className="w-4 h-4" /></button>
+        </div>
+
+        <div className="p-4 space-y-4">
+          <div className="flex space-x-1">
+            {SCOPES.map(option => (
+              <button
+                key={option.value}
+                onClick={() => setScope(option.value)}
+                className={cn("flex-1 px-2 py-1 rounded", scope === option.value ? "bg-blue-600 text-white" : "bg-gray-700 text-gray-300 hover:bg-gray-600")}
+              >
+                {option.label} ({scopes[option.value].length})
+              </button>
+            ))}
+          </div>
+
+          <div className="flex space-x-2">
+            <input
+              type="text"
+              value={destination}
+              onChange={(e) => setDestination(e.target.value)}
+              className="flex-1 bg-gray-700 border-none rounded px-2 py-1 outline-none"
+              placeholder="Target Folder..."
+            />
+            <button
+              onClick={() => run('move', { destination }, `Moved to ${destination}`)}
+              disabled={busy || !destination || targets.length === 0}
+              className="flex items-center px-3 py-1 rounded bg-gray-700 hover:bg-gray-600 disabled:opacity-50"
+            >
+              <FolderInput className="w-4 h-4 mr-2" /> Move
+            </button>
+          </div>
+
+          {root && (
+            <button
+              onClick={() => run('reject', { root }, 'Moved to _rejects')}
+              disabled={busy || targets.length === 0}
+              className="w-full flex items-center px-3 py-1.5 rounded bg-gray-700 hover:bg-gray-600 disabled:opacity-50"
+              title={`Into the _rejects folder of ${root}, keeping subfolders`}
+            >
+              <ArchiveX className="w-4 h-4 mr-2" /> Move to _rejects
+            </button>
+          )}
+
+          <button
+            onClick={() => setConfirmingTrash(true)}
+            disabled={busy || targets.length === 0}
+            className="w-full flex items-center px-3 py-1.5 rounded bg-red-600 hover:bg-red-700 text-white disabled:opacity-50"
+          >
+            <Trash2 className="w-4 h-4 mr-2" /> Move to trash
+          </button>
+
+          {busy && <div className="flex items-center text-gray-400"><Loader2 className="w-4 h-4 mr-2 animate-spin" /> Working...</div>}
+          {error && <div className="text-red-400">{error}</div>}
+        </div>
+      </div>
+
+      {confirmingTrash && (
+        <ConfirmDialog
+          message={`Move ${targets.length} photos to the trash?`}
+          confirmLabel="Move to trash"
+          onConfirm={moveToTrash}
+          onCancel={() => setConfirmingTrash(false)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default FileActionsPanel;
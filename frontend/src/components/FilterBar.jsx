@@ -0,0 +1,208 @@
+import React, { useState, useMemo } from 'react';
+import { Save, Trash2, X } from 'lucide-react';
+import { clsx } from 'clsx';
+import { twMerge } from 'tailwind-merge';
+import { DEFAULT_FILTER, RATING_OPS, FILTER_LABELS, NO_KEYWORDS, collectKeywords } from '../utils/filterPhotos';
+
+const PRESETS_KEY = 'photopicks.filterPresets';
+
+function cn(...inputs) {
+  return twMerge(clsx(inputs));
+}
+
+const LABEL_COLORS = {
+  Red: 'bg-red-500',
+  Yellow: 'bg-yellow-500',
+  Green: 'bg-green-500',
+  Blue: 'bg-blue-500',
+  Purple: 'bg-purple-500',
+  Orange: 'bg-orange-500',
+  Gray: 'bg-gray-400',
+};
+
+const loadPresets = () => {
+  try {
+    return JSON.parse(localStorage.getItem(PRESETS_KEY)) || {};
+  } catch (err) {
+    return {};
+  }
+};
+
+const selectClass = "bg-gray-700 border-none text-sm rounded px-2 py-1 outline-none";
+
+// Second toolbar row with every filter criterion, plus named presets kept in localStorage
+const FilterBar = ({ filter, onChange, photos }) => {
+  const [presets, setPresets] = useState(loadPresets);
+  const [presetName, setPresetName] = useState('');
+
+  const update = (changes) => onChange({ ...filter, ...changes });
+
+  // Offer the cameras and lenses that occur in the current folder
+  const cameras = useMemo(() => [...new Set(photos.map(p => p.camera).filter(Boolean))].sort(), [photos]);
+  const lenses = useMemo(() => [...new Set(photos.map(p => p.lens).filter(Boolean))].sort(), [photos]);
+  const keywords = useMemo(() => collectKeywords(photos), [photos]);
+
+  const toggleLabel = (label) => {
+    const labels = filter.labels.includes(label)
+      ? filter.labels.filter(l => l !== label)
+      : [...filter.labels, label];
+    update({ labels });
+  };
+
+  const savePresets = (next) => {
+    setPresets(next);
+    localStorage.setItem(PRESETS_KEY, JSON.stringify(next));
+  };
+
+  const savePreset = () => {
+    const name = presetName.trim();
+    if (!name) return;
+    savePresets({ ...presets, [name]: filter });
+    setPresetName('');
+  };
+
+  const deletePreset = (name) => {
+    const rest = { ...presets };
+    delete rest[name];
+    savePresets(rest);
+  };
+
+  return (
+    <div className="bg-gray-800 flex flex-wrap items-center gap-3 px-4 py-2 border-b border-gray-700 shrink-0 text-sm">
+      {/* Rating */}
+      <div className="flex items-center space-x-1">
+        <select value={filter.ratingOp} onChange={(e) => update({ ratingOp: e.target.value })} className={selectClass}>
+          {RATING_OPS.map(op => <option key={op.value} value={op.value}>{op.label}</option>)}
+        </select>
+        {['gte', 'lte', 'eq'].includes(filter.ratingOp) && (
+          <select value={filter.rating} onChange={(e) => update({ rating: Number(e.target.value) })} className={selectClass}>
+            {[1, 2, 3, 4, 5].map(n => <option key={n} value={n}>{n} {n === 1 ? 'Star' : 'Stars'}</option>)}
+          </select>
+        )}
+      </div>
+
+      {/* Labels: any of the selected ones */}
+      <div className="flex items-center space-x-1" title="Color labels (any of)">
+        {FILTER_LABELS.map(label => (
+          <button
+            key={label}
+            onClick={() => toggleLabel(label)}
+            className={cn("w-5 h-5 rounded-full border-2", LABEL_COLORS[label], filter.labels.includes(label) ? "border-white" : "border-transparent opacity-50 hover:opacity-100")}
+            title={label}
+          />
+        ))}
+        <button
+          onClick={() => toggleLabel('none')}
+          className={cn("px-2 py-0.5 rounded border text-xs", filter.labels.includes('none') ? "border-white text-white" : "border-gray-600 text-gray-400 hover:bg-gray-700")}
+        >
+          No Label
+        </button>
+      </div>
+
+      {/* Flag */}
+      <select value={filter.flag} onChange={(e) => update({ flag: e.target.value })} className={selectClass}>
+        <option value="All">All Flags</option>
+        <option value="pick">Picked</option>
+        <option value="reject">Rejected</option>
+        <option value="none">Unflagged</option>
+        <option value="notRejected">Hide Rejected</option>
+      </select>
+
+      {/* Keyword */}
+      <select value={filter.keyword} onChange={(e) => update({ keyword: e.target.value })} className={cn(selectClass, "max-w-[10rem]")}>
+        <option value="">All Keywords</option>
+        <option value={NO_KEYWORDS}>No Keywords</option>
+        {keywords.map(keyword => <option key={keyword} value={keyword}>{keyword}</option>)}
+      </select>
+
+      {/* File name */}
+      <input
+        type="text"
+        placeholder="File name..."
+        value={filter.name}
+        onChange={(e) => update({ name: e.target.value })}
+        className="bg-gray-700 border-none text-sm px-2 py-1 rounded w-32 outline-none"
+      />
+
+      {/* Capture date range */}
+      <div className="flex items-center space-x-1 text-gray-400" title="Capture date">
+        <input
+          type="date"
+          value={filter.dateFrom}
+          onChange={(e) => update({ dateFrom: e.target.value })}
+          className="bg-gray-700 border-none text-sm px-2 py-0.5 rounded text-gray-100 outline-none"
+        />
+        <span>–</span>
+        <input
+          type="date"
+          value={filter.dateTo}
+          onChange={(e) => update({ dateTo: e.target.value })}
+          className="bg-gray-700 border-none text-sm px-2 py-0.5 rounded text-gray-100 outline-none"
+        />
+      </div>
+
+      {/* Camera / lens */}
+      <select value={filter.camera} onChange={(e) => update({ camera: e.target.value })} className={cn(selectClass, "max-w-[10rem]")}>
+        <option value="">All Cameras</option>
+        {cameras.map(camera => <option key={camera} value={camera}>{camera}</option>)}
+      </select>
+      <select value={filter.lens} onChange={(e) => update({ lens: e.target.value })} className={cn(selectClass, "max-w-[10rem]")}>
+        <option value="">All Lenses</option>
+        {lenses.map(lens => <option key={lens} value={lens}>{lens}</option>)}
+      </select>
+
+      {/* Sharpness / exposure scores (after Analyze) */}
+      <select value={filter.focus} onChange={(e) => update({ focus: e.target.value })} className={selectClass} title="Focus (needs Analyze)">
+        <option value="all">Any Focus</option>
+        <option value="sharp">Sharp</option>
+        <option value="blurry">Likely Blurry</option>
+        <option value="unscored">Not Analyzed</option>
+      </select>
+      <select value={filter.exposure} onChange={(e) => update({ exposure: e.target.value })} className={selectClass} title="Exposure (needs Analyze)">
+        <option value="all">Any Exposure</option>
+        <option value="ok">No Clipping</option>
+        <option value="clipped">Clipped</option>
+      </select>
+
+      <button
+        onClick={() => onChange(DEFAULT_FILTER)}
+        className="flex items-center text-gray-400 hover:text-white"
+        title="Clear all filters"
+      >
+        <X className="w-4 h-4 mr-1" /> Clear
+      </button>
+
+      <div className="h-6 w-px bg-gray-600"></div>
+
+      {/* Presets */}
+      <div className="flex items-center space-x-1">
+        <select
+          value=""
+          onChange={(e) => e.target.value && onChange({ ...DEFAULT_FILTER, ...presets[e.target.value] })}
+          className={selectClass}
+        >
+          <option value="">Presets...</option>
+          {Object.keys(presets).sort().map(name => <option key={name} value={name}>{name}</option>)}
+        </select>
+        <input
+          type="text"
+          placeholder="Preset name"
+          value={presetName}
+          onChange={(e) => setPresetName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && savePreset()}
+          className="bg-gray-700 border-none text-sm px-2 py-1 rounded w-28 outline-none"
+        />
+        <button onClick={savePreset} disabled={!presetName.trim()} className="p-1 text-gray-300 hover:text-white disabled:opacity-40" title="Save current filter as a preset">
+          <Save className="w-4 h-4" />
+        </button>
+        {presets[presetName.trim()] && (
+          <button onClick={() => deletePreset(presetName.trim())} className="p-1 text-gray-300 hover:text-red-400" title="Delete this preset">
+            <Trash2 className="w-4 h-4" />
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FilterBar;
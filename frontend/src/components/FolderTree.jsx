@@ -147,7 +147,7 @@ const FolderTree = ({ currentPath, onSelect }) => {
   };
 
   return (
-    <div className="flex flex-col h-full bg-gray-900 border-r border-gray-700 w-64 shrink-0">
+    <div className="flex flex-col flex-1 min-h-0 bg-gray-900">
       <div className="p-2 border-b border-gray-700 flex items-center justify-between bg-gray-800">
         <span className="text-xs font-bold text-gray-400 uppercase tracking-wider">Folders</span>
         <button 
@@ -0,0 +1,247 @@
+import React, { useState } from 'react';
+import { X, Loader2, Search, Download } from 'lucide-react';
+import { clsx } from 'clsx';
+
+const API_URL = 'http://localhost:3001/api';
+
+const SETTINGS_KEY = 'photopicks.importSettings';
+
+// The event name is per shoot, so it isn't remembered
+const DEFAULT_SETTINGS = {
+  source: '',
+  destination: '',
+  template: '{YYYY}/{YYYY}-{MM}-{DD}_{event}',
+  match: 'name',
+  verify: true
+};
+
+const TOKENS = ['YYYY', 'MM', 'DD', 'event'];
+
+const loadSettings = (destination) => {
+  try {
+    return { ...DEFAULT_SETTINGS, destination, ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) };
+  } catch (err) {
+    return { ...DEFAULT_SETTINGS, destination };
+  }
+};
+
+const formatSize = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+const inputClass = "bg-gray-700 border-none rounded px-2 py-1 outline-none";
+
+// Import from a memory card: scan a source folder (e.g. the card's DCIM folder), see which
+// files the destination doesn't have yet and copy the chosen ones into dated folders.
+// The copy runs as a background job; `onStarted(job)` hands it over once it is created.
+// `folder` (the open folder) is the suggested destination until one is remembered.
+const ImportPanel = ({ folder, onStarted, onClose }) => {
+  const [settings, setSettings] = useState(() => loadSettings(folder || ''));
+  const [event, setEvent] = useState('');
+  const [items, setItems] = useState(null); // The scan result, null until scanned
+  const [chosen, setChosen] = useState(new Set());
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const change = (key, value) => {
+    const next = { ...settings, [key]: value };
+    setSettings(next);
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(next));
+    setItems(null); // The scan no longer matches
+  };
+
+  const options = () => ({
+    source: settings.source,
+    destination: settings.destination,
+    template: settings.template,
+    event,
+    match: settings.match
+  });
+
+  const request = async (url, body) => {
+    const res = await fetch(`${API_URL}${url}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Import failed');
+    return data;
+  };
+
+  const scan = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      const data = await request('/import/scan', options());
+      setItems(data.items);
+      setChosen(new Set(data.items.filter(item => !item.imported).map(item => item.path)));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const runImport = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      const data = await request('/jobs', { type: 'import', ...options(), files: [...chosen], verify: settings.verify });
+      onStarted(data.job);
+    } catch (err) {
+      setError(err.message);
+      setBusy(false);
+    }
+  };
+
+  const toggle = (file) => {
+    setChosen(prev => {
+      const next = new Set(prev);
+      if (next.has(file)) next.delete(file);
+      else next.add(file);
+      return next;
+    });
+  };
+
+  const newCount = items ? items.filter(item => !item.imported).length : 0;
+  const chosenSize = items ? items.filter(item => chosen.has(item.path)).reduce((sum, item) => sum + item.size, 0) : 0;
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/70 flex items-center justify-center" onClick={onClose}>
+      <div className="bg-gray-800 rounded-lg w-[40rem] max-h-[85vh] flex flex-col text-sm" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between px-4 py-3 border-b border-gray-700">
+          <div className="font-medium">Import photos</div>
+          <button onClick={onClose} className="p-1 text-gray-400 hover:text-white"><X className="w-4 h-4" /></button>
+        </div>
+
+        <div className="p-4 space-y-3 border-b border-gray-700">
+          <div className="flex space-x-3">
+            <label className="flex-1">
+              <span className="text-xs text-gray-400">From (card or DCIM folder)</span>
+              <input
+                type="text"
+                value={settings.source}
+                onChange={(e) => change('source', e.target.value)}
+                className={`${inputClass} w-full mt-1`}
+                placeholder="/Volumes/EOS_DIGITAL/DCIM"
+              />
+            </label>
+            <label className="flex-1">
+              <span className="text-xs text-gray-400">Into</span>
+              <input
+                type="text"
+                value={settings.destination}
+                onChange={(e) => change('destination', e.target.value)}
+                className={`${inputClass} w-full mt-1`}
+                placeholder="Photo library folder..."
+              />
+            </label>
+          </div>
+
+          <div className="flex space-x-3">
+            <label className="flex-1">
+              <span className="text-xs text-gray-400">Folders</span>
+              <input
+                type="text"
+                value={settings.template}
+                onChange={(e) => change('template', e.target.value)}
+                className={`${inputClass} w-full mt-1 font-mono`}
+              />
+              <span className="block text-xs text-gray-500 mt-1">
+                {TOKENS.map(token => `{${token}}`).join(' ')} - from the capture date
+              </span>
+            </label>
+            <label className="w-40">
+              <span className="text-xs text-gray-400">Event</span>
+              <input
+                type="text"
+                value={event}
+                onChange={(e) => {
+                  setEvent(e.target.value);
+                  setItems(null);
+                }}
+                className={`${inputClass} w-full mt-1`}
+                placeholder="e.g. Wedding"
+              />
+            </label>
+          </div>
+
+          <div className="flex items-center space-x-4">
+            <label className="flex items-center">
+              <span className="text-xs text-gray-400 mr-2">Already imported if</span>
+              <select value={settings.match} onChange={(e) => change('match', e.target.value)} className={inputClass}>
+                <option value="name">Same name and size in its folder</option>
+                <option value="hash">Same contents anywhere (slower)</option>
+              </select>
+            </label>
+            <label className="flex items-center">
+              <input
+                type="checkbox"
+                checked={settings.verify}
+                onChange={(e) => change('verify', e.target.checked)}
+                className="mr-2"
+              />
+              Verify checksums
+            </label>
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-y-auto min-h-[8rem]">
+          {items === null ? (
+            <div className="p-4 text-gray-500">Scan the source to see what is new.</div>
+          ) : items.length === 0 ? (
+            <div className="p-4 text-gray-500">No photos in the source folder.</div>
+          ) : (
+            <table className="w-full text-xs">
+              <tbody>
+                {items.map(item => (
+                  <tr
+                    key={item.path}
+                    onClick={() => toggle(item.path)}
+                    className={clsx("cursor-pointer hover:bg-gray-700", item.imported && "text-gray-500")}
+                    title={item.path}
+                  >
+                    <td className="pl-4 py-1 w-6">
+                      <input type="checkbox" checked={chosen.has(item.path)} readOnly />
+                    </td>
+                    <td className="py-1 truncate max-w-[10rem]">
+                      {item.name}
+                      {item.sidecar && <span className="text-gray-500"> +xmp</span>}
+                    </td>
+                    <td className="py-1 font-mono truncate max-w-[14rem]">{item.folder}</td>
+                    <td className="py-1 text-right">{formatSize(item.size)}</td>
+                    <td className="pr-4 py-1 text-right">{item.imported ? 'Imported' : 'New'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        <div className="flex items-center px-4 py-3 border-t border-gray-700">
+          <span className="flex-1 text-gray-400">
+            {items && `${newCount} new of ${items.length} - ${chosen.size} chosen (${formatSize(chosenSize)})`}
+          </span>
+          {error && <span className="text-red-400 mr-3 truncate">{error}</span>}
+          <button
+            onClick={scan}
+            disabled={busy || !settings.source || !settings.destination}
+            className="px-3 py-1 rounded bg-gray-700 hover:bg-gray-600 flex items-center disabled:opacity-50 mr-2"
+          >
+            {busy && items === null ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Search className="w-4 h-4 mr-2" />}
+            Scan
+          </button>
+          <button
+            onClick={runImport}
+            disabled={busy || !items || chosen.size === 0}
+            className="bg-green-600 hover:bg-green-700 text-white px-3 py-1 rounded flex items-center disabled:opacity-50"
+          >
+            {busy && items !== null ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Download className="w-4 h-4 mr-2" />}
+            Import
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportPanel;
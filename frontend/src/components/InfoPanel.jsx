@@ -0,0 +1,120 @@
+import React, { useState, useEffect } from 'react';
+
+const API_URL = 'http://localhost:3001/api';
+
+const HISTOGRAM_HEIGHT = 80;
+
+// Build an SVG path for one histogram channel, scaled so the tallest bin fills the height.
+// The first and last bins (pure black/white) are left out of the scale so clipping
+// doesn't flatten the rest of the curve.
+const histogramPath = (values, max) => {
+  const points = values.map((v, i) => `${i},${HISTOGRAM_HEIGHT - Math.min(1, v / max) * HISTOGRAM_HEIGHT}`);
+  return `M0,${HISTOGRAM_HEIGHT} L${points.join(' L')} L${values.length - 1},${HISTOGRAM_HEIGHT} Z`;
+};
+
+const Histogram = ({ data }) => {
+  const inner = (values) => values.slice(1, -1);
+  const max = Math.max(1, ...inner(data.red), ...inner(data.green), ...inner(data.blue), ...inner(data.luminance));
+
+  return (
+    <svg viewBox={`0 0 ${data.bins - 1} ${HISTOGRAM_HEIGHT}`} preserveAspectRatio="none" className="w-full h-20 bg-black/40 rounded">
+      <path d={histogramPath(data.luminance, max)} fill="rgba(255,255,255,0.25)" />
+      <g style={{ mixBlendMode: 'screen' }}>
+        <path d={histogramPath(data.red, max)} fill="rgba(239,68,68,0.5)" />
+        <path d={histogramPath(data.green, max)} fill="rgba(34,197,94,0.5)" />
+        <path d={histogramPath(data.blue, max)} fill="rgba(59,130,246,0.5)" />
+      </g>
+    </svg>
+  );
+};
+
+const Row = ({ label, value }) => (
+  value === null || value === undefined || value === '' ? null : (
+    <div className="flex justify-between gap-4">
+      <span className="text-gray-400 shrink-0">{label}</span>
+      <span className="text-right truncate" title={String(value)}>{value}</span>
+    </div>
+  )
+);
+
+const formatDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date) ? value : date.toLocaleString();
+};
+
+const formatGps = (gps) => (
+  gps ? `${gps.latitude.toFixed(5)}, ${gps.longitude.toFixed(5)}${gps.altitude !== null ? ` (${Math.round(gps.altitude)} m)` : ''}` : null
+);
+
+// Shooting details and histogram of the photo shown in the large preview
+const InfoPanel = ({ photo }) => {
+  const [details, setDetails] = useState(null);
+  const [histogram, setHistogram] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Reload when another photo is shown or this one changed on disk
+  const path = photo?.path;
+  const modifiedDate = photo?.modifiedDate;
+
+  useEffect(() => {
+    if (!path) return;
+    // Ignore answers for a photo we've already moved past
+    let cancelled = false;
+    setDetails(null);
+    setHistogram(null);
+    setError(null);
+
+    const file = encodeURIComponent(path);
+    fetch(`${API_URL}/metadata/details?file=${file}`)
+      .then(res => res.json())
+      .then(data => {
+        if (cancelled) return;
+        if (data.error) setError(data.error);
+        else setDetails(data);
+      })
+      .catch(err => !cancelled && setError(err.message));
+
+    fetch(`${API_URL}/histogram?file=${file}`)
+      .then(res => res.json())
+      .then(data => !cancelled && !data.error && setHistogram(data))
+      .catch(err => console.error("Failed to load histogram", err));
+
+    return () => { cancelled = true; };
+  }, [path, modifiedDate]);
+
+  if (!photo) return null;
+
+  return (
+    <div className="absolute top-4 right-4 w-72 bg-black/70 backdrop-blur rounded p-3 text-xs text-gray-200 space-y-2">
+      {histogram ? <Histogram data={histogram} /> : <div className="h-20 bg-black/40 rounded" />}
+
+      {error && <div className="text-red-400">{error}</div>}
+      {!details && !error && <div className="text-gray-500">Loading...</div>}
+
+      {details && (
+        <div className="space-y-1">
+          <Row label="Camera" value={details.camera} />
+          <Row label="Lens" value={details.lens} />
+          <Row label="Focal length" value={details.focalLength} />
+          <Row label="Aperture" value={details.aperture} />
+          <Row label="Shutter" value={details.shutter} />
+          <Row label="ISO" value={details.iso} />
+          <Row label="Exposure comp." value={details.exposureCompensation} />
+          <Row label="Captured" value={formatDate(details.captureDate)} />
+          <Row label="Dimensions" value={details.width && details.height ? `${details.width} × ${details.height}` : null} />
+          <Row label="GPS" value={formatGps(details.gps)} />
+          {photo.quality && (
+            <>
+              <Row label="Sharpness" value={photo.quality.sharpness} />
+              <Row label="Clipped" value={`${photo.quality.highlights}% highlights, ${photo.quality.shadows}% shadows`} />
+            </>
+          )}
+          <Row label="File" value={photo.name} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default InfoPanel;
@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+import { X, Loader2, CheckCircle2, AlertTriangle, Ban } from 'lucide-react';
+import { clsx } from 'clsx';
+import { twMerge } from 'tailwind-merge';
+
+function cn(...inputs) {
+  return twMerge(clsx(inputs));
+}
+
+const formatBytes = (bytes) => (bytes >= 1024 * 1024 * 1024
+  ? `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`
+  : `${(bytes / 1024 / 1024).toFixed(1)} MB`);
+
+const getFileName = (file) => file.split(/[\\/]/).pop();
+
+// What a finished job did, e.g. "120 exported, 3 skipped" or "4 groups of duplicates"
+const summarize = (job) => {
+  if (job.status === 'failed') return job.error;
+  const { result } = job;
+  const skipped = result.skipped || [];
+  let done;
+  if (job.type === 'duplicates') done = `${result.exact.length + result.similar.length} groups of duplicates`;
+  else if (job.type === 'import') done = `${result.imported.length} imported`;
+  else done = `${result.exported.length} exported`;
+  return [
+    done,
+    skipped.length > 0 && `${skipped.length} skipped`,
+    job.errorCount > 0 && `${job.errorCount} failed`,
+    job.status === 'cancelled' && 'cancelled'
+  ].filter(Boolean).join(', ');
+};
+
+// One background job: progress while it runs, then what it did and which files failed
+const JobRow = ({ job, onCancel, onDismiss }) => {
+  const [showErrors, setShowErrors] = useState(false);
+  const running = job.status === 'running';
+  const percent = job.bytesTotal > 0 ? Math.round((job.bytesDone / job.bytesTotal) * 100) : 0;
+
+  return (
+    <div className="p-3 border-b border-gray-700 last:border-b-0">
+      <div className="flex items-center">
+        {running && <Loader2 className="w-4 h-4 mr-2 shrink-0 animate-spin text-blue-400" />}
+        {job.status === 'done' && job.errorCount === 0 && <CheckCircle2 className="w-4 h-4 mr-2 shrink-0 text-green-400" />}
+        {(job.status === 'failed' || (job.status === 'done' && job.errorCount > 0)) && (
+          <AlertTriangle className="w-4 h-4 mr-2 shrink-0 text-yellow-400" />
+        )}
+        {job.status === 'cancelled' && <Ban className="w-4 h-4 mr-2 shrink-0 text-gray-400" />}
+        <span className="flex-1 truncate" title={job.label}>{job.label}</span>
+        {running ? (
+          <button onClick={() => onCancel(job.id)} className="ml-2 text-xs px-2 py-0.5 rounded border border-gray-600 hover:bg-gray-700">
+            Cancel
+          </button>
+        ) : (
+          <button onClick={() => onDismiss(job.id)} className="ml-2 p-0.5 text-gray-400 hover:text-white" title="Dismiss">
+            <X className="w-4 h-4" />
+          </button>
+        )}
+      </div>
+
+      {running ? (
+        <>
+          <div className="h-1.5 bg-gray-700 rounded mt-2 overflow-hidden">
+            <div className="h-full bg-blue-500 transition-all" style={{ width: `${percent}%` }} />
+          </div>
+          <div className="flex justify-between text-xs text-gray-400 mt-1">
+            <span>{job.processed} / {job.total} files</span>
+            <span>{formatBytes(job.bytesDone)} / {formatBytes(job.bytesTotal)}</span>
+          </div>
+          {job.file && <div className="text-xs text-gray-500 truncate mt-0.5">{getFileName(job.file)}</div>}
+        </>
+      ) : (
+        <div className={cn("text-xs mt-1", job.status === 'failed' ? "text-red-400" : "text-gray-400")}>{summarize(job)}</div>
+      )}
+
+      {job.errors.length > 0 && (
+        <div className="mt-1 text-xs">
+          <button onClick={() => setShowErrors(!showErrors)} className="text-red-400 hover:underline">
+            {showErrors ? 'Hide' : 'Show'} {job.errorCount} errors
+            {job.errorCount > job.errors.length && ` (first ${job.errors.length} listed)`}
+          </button>
+          {showErrors && (
+            <ul className="mt-1 max-h-32 overflow-y-auto space-y-0.5 text-gray-400">
+              {job.errors.map((err, i) => (
+                <li key={i} className="truncate" title={`${err.file}: ${err.error}`}>
+                  {getFileName(err.file)}: {err.error}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Background jobs (imports, exports and duplicate searches) in the bottom right corner, newest first
+const JobsPanel = ({ jobs, onCancel, onDismiss }) => {
+  if (jobs.length === 0) return null;
+
+  return (
+    <div className="fixed bottom-4 right-4 z-40 w-96 max-h-[50vh] overflow-y-auto bg-gray-800 border border-gray-700 rounded-lg shadow-xl text-sm">
+      {jobs.map(job => (
+        <JobRow key={job.id} job={job} onCancel={onCancel} onDismiss={onDismiss} />
+      ))}
+    </div>
+  );
+};
+
+export default JobsPanel;
@@ -0,0 +1,63 @@
+import React, { useState } from 'react';
+import { Tag, X } from 'lucide-react';
+import { clsx } from 'clsx';
+import { twMerge } from 'tailwind-merge';
+
+function cn(...inputs) {
+  return twMerge(clsx(inputs));
+}
+
+// Keywords of the current photo or selection, with add/remove.
+// With several photos selected, keywords only some of them have are shown dimmed;
+// removing one removes it from all of them, adding one adds it to all of them.
+const KeywordEditor = ({ photos, suggestions, onAdd, onRemove }) => {
+  const [input, setInput] = useState('');
+
+  const counts = new Map();
+  photos.forEach(p => (p.keywords || []).forEach(k => counts.set(k, (counts.get(k) || 0) + 1)));
+  const keywords = [...counts.keys()].sort((a, b) => a.localeCompare(b));
+
+  const add = () => {
+    const keyword = input.trim();
+    if (!keyword) return;
+    onAdd(keyword);
+    setInput('');
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') add();
+    if (e.key === 'Escape') e.target.blur(); // Back to the keyboard shortcuts
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-1 mt-2 max-w-md">
+      <Tag className="w-3 h-3 text-gray-400" />
+      {keywords.map(keyword => (
+        <span
+          key={keyword}
+          className={cn("text-xs pl-2 pr-1 py-0.5 rounded-full bg-gray-700 flex items-center", counts.get(keyword) < photos.length && "opacity-60")}
+          title={counts.get(keyword) < photos.length ? `${counts.get(keyword)} of ${photos.length} selected` : keyword}
+        >
+          {keyword}
+          <button onClick={() => onRemove(keyword)} className="ml-1 text-gray-400 hover:text-white" title="Remove keyword">
+            <X className="w-3 h-3" />
+          </button>
+        </span>
+      ))}
+      <input
+        type="text"
+        list="photopicks-keywords"
+        placeholder="Add keyword..."
+        value={input}
+        onChange={(e) => setInput(e.target.value)}
+        onKeyDown={handleKeyDown}
+        className="bg-transparent border-b border-gray-600 text-xs px-1 py-0.5 w-28 outline-none focus:border-blue-500"
+      />
+      <datalist id="photopicks-keywords">
+        {suggestions.filter(k => !keywords.includes(k)).map(k => <option key={k} value={k} />)}
+      </datalist>
+    </div>
+  );
+};
+
+export default KeywordEditor;
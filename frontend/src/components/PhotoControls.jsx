@@ -0,0 +1,43 @@
+import React from 'react';
+import { Star, Flag, Ban } from 'lucide-react';
+import { clsx } from 'clsx';
+import { twMerge } from 'tailwind-merge';
+
+function cn(...inputs) {
+  return twMerge(clsx(inputs));
+}
+
+// Clickable stars and pick/reject buttons for one photo in the compare and survey views.
+// `onChange(rating, flag)` takes the same arguments as the rating/flag keys (undefined = leave as is).
+const PhotoControls = ({ photo, onChange }) => (
+  <div className="flex items-center space-x-2">
+    <div className="flex">
+      {[1, 2, 3, 4, 5].map(star => (
+        <button
+          key={star}
+          // Clicking the current rating again clears it
+          onClick={() => onChange(star === photo.rating ? 0 : star, undefined)}
+          title={`${star} ${star === 1 ? 'star' : 'stars'}`}
+        >
+          <Star className={cn("w-4 h-4", star <= (photo.rating || 0) ? "fill-yellow-400 text-yellow-400" : "text-gray-500 hover:text-gray-300")} />
+        </button>
+      ))}
+    </div>
+    <button
+      onClick={() => onChange(undefined, photo.flag === 'pick' ? null : 'pick')}
+      className={cn("p-0.5 rounded", photo.flag === 'pick' ? "text-white" : "text-gray-500 hover:text-gray-300")}
+      title="Pick"
+    >
+      <Flag className={cn("w-4 h-4", photo.flag === 'pick' && "fill-white")} />
+    </button>
+    <button
+      onClick={() => onChange(undefined, photo.flag === 'reject' ? null : 'reject')}
+      className={cn("p-0.5 rounded", photo.flag === 'reject' ? "text-red-400" : "text-gray-500 hover:text-gray-300")}
+      title="Reject"
+    >
+      <Ban className="w-4 h-4" />
+    </button>
+  </div>
+);
+
+export default PhotoControls;
@@ -0,0 +1,69 @@
+import React from 'react';
+import { X, Trophy } from 'lucide-react';
+import { clsx } from 'clsx';
+import { twMerge } from 'tailwind-merge';
+import PhotoControls from './PhotoControls';
+
+const API_URL = 'http://localhost:3001/api';
+
+function cn(...inputs) {
+  return twMerge(clsx(inputs));
+}
+
+// Columns that keep the tiles as large as possible for the number of candidates
+const getColumns = (count) => Math.ceil(Math.sqrt(count));
+
+// The candidates tiled to fill the preview area. Dropping one takes it out of the survey
+// (the file is untouched), so the rest grow; keep going until one remains.
+const SurveyView = ({ photos, onChange, onDrop, onClose }) => {
+  const columns = getColumns(photos.length);
+  const winner = photos.length === 1 ? photos[0] : null;
+
+  return (
+    <div className="absolute inset-0 flex flex-col">
+      <div className="flex items-center justify-between px-4 py-2 text-sm text-gray-300 bg-gray-900 shrink-0">
+        {winner ? (
+          <span className="flex items-center text-yellow-400">
+            <Trophy className="w-4 h-4 mr-2" /> {winner.name} is the last one left
+          </span>
+        ) : (
+          <span>Survey - {photos.length} candidates, drop the ones you don&apos;t want</span>
+        )}
+        <button onClick={onClose} className="flex items-center hover:text-white" title="Back to single view (Esc)">
+          <X className="w-4 h-4 mr-1" /> Close
+        </button>
+      </div>
+      <div
+        className="flex-1 grid gap-1 p-1 min-h-0"
+        style={{ gridTemplateColumns: `repeat(${columns}, minmax(0, 1fr))`, gridAutoRows: '1fr' }}
+      >
+        {photos.map(photo => (
+          <div key={photo.id} className="relative flex flex-col min-h-0 bg-gray-900 rounded overflow-hidden group">
+            <div className="flex-1 min-h-0 flex items-center justify-center">
+              <img
+                src={`${API_URL}/image?file=${encodeURIComponent(photo.path)}`}
+                alt={photo.name}
+                className={cn("max-w-full max-h-full object-contain", photo.flag === 'reject' && "opacity-40")}
+              />
+            </div>
+            {!winner && (
+              <button
+                onClick={() => onDrop(photo)}
+                className="absolute top-2 right-2 p-1 rounded bg-black/60 text-gray-300 hover:text-white hover:bg-red-600 opacity-0 group-hover:opacity-100 transition-opacity"
+                title="Drop from survey"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            )}
+            <div className="flex items-center justify-between px-2 py-1 text-xs shrink-0">
+              <span className="truncate mr-2" title={photo.path}>{photo.name}</span>
+              <PhotoControls photo={photo} onChange={(rating, flag) => onChange(photo, rating, flag)} />
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default SurveyView;
@@ -0,0 +1,206 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { clsx } from 'clsx';
+import { twMerge } from 'tailwind-merge';
+import { ZOOM_LEVELS } from '../utils/zoom';
+
+const API_URL = 'http://localhost:3001/api';
+
+// Size of the navigator (loupe overview) in the corner
+const NAVIGATOR_SIZE = 160;
+
+// A drag shorter than this is a click
+const CLICK_DISTANCE = 4;
+
+function cn(...inputs) {
+  return twMerge(clsx(inputs));
+}
+
+// Keep the view inside the image: the point at the center of the screen can't come
+// closer to an edge than half the screen. An image smaller than the screen is centered.
+const clampCenter = (center, imageSize, viewSize) => {
+  if (imageSize <= viewSize) return 0.5;
+  const margin = viewSize / 2 / imageSize;
+  return Math.max(margin, Math.min(1 - margin, center));
+};
+
+// The large preview. Fitted to the screen until zoomed; zoomed in, it shows the
+// full-resolution tiles around `zoom.x`/`zoom.y` (the point at the center of the screen,
+// as a fraction of the image), so the view stays on the same spot from photo to photo.
+// zoom: { scale, x, y } or null for fit. `onZoomChange` gets the new zoom.
+const ZoomableImage = ({ photo, zoom, onZoomChange }) => {
+  const containerRef = useRef(null);
+  const dragRef = useRef(null);
+  const [viewSize, setViewSize] = useState({ width: 0, height: 0 });
+  const [info, setInfo] = useState(null); // { width, height, tileSize, columns, rows }
+  const zoomed = Boolean(zoom);
+
+  // Fitted and zoomed views are different elements, so observe whichever is rendered
+  useEffect(() => {
+    const el = containerRef.current;
+    if (!el) return;
+    const observer = new ResizeObserver(() => setViewSize({ width: el.clientWidth, height: el.clientHeight }));
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, [zoomed]);
+
+  // Full-resolution size and tile grid, only needed once zoomed in
+  useEffect(() => {
+    setInfo(null);
+    if (!zoomed) return;
+    let cancelled = false;
+    fetch(`${API_URL}/image/info?file=${encodeURIComponent(photo.path)}`)
+      .then(res => res.json())
+      .then(data => !cancelled && !data.error && setInfo(data))
+      .catch(err => console.error("Failed to load image size", err));
+    return () => { cancelled = true; };
+  }, [photo.path, zoomed]);
+
+  const file = encodeURIComponent(photo.path);
+
+  // Click on the fitted image: zoom to 100% on the clicked point
+  const zoomIn = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    onZoomChange({
+      scale: ZOOM_LEVELS[0],
+      x: (e.clientX - rect.left) / rect.width,
+      y: (e.clientY - rect.top) / rect.height
+    });
+  };
+
+  if (!zoom) {
+    return (
+      <div ref={containerRef} className="w-full h-full flex items-center justify-center">
+        <img
+          src={`${API_URL}/image?file=${file}`}
+          alt={photo.name}
+          onClick={zoomIn}
+          className="max-w-full max-h-full object-contain cursor-zoom-in"
+        />
+      </div>
+    );
+  }
+
+  const width = info ? info.width * zoom.scale : 0;
+  const height = info ? info.height * zoom.scale : 0;
+  const centerX = clampCenter(zoom.x, width, viewSize.width);
+  const centerY = clampCenter(zoom.y, height, viewSize.height);
+  const left = viewSize.width / 2 - centerX * width;
+  const top = viewSize.height / 2 - centerY * height;
+
+  // Tiles that intersect the screen
+  const tiles = [];
+  if (info) {
+    const tileSize = info.tileSize * zoom.scale;
+    for (let row = 0; row < info.rows; row++) {
+      const y = top + row * tileSize;
+      if (y + tileSize < 0 || y > viewSize.height) continue;
+      for (let column = 0; column < info.columns; column++) {
+        const x = left + column * tileSize;
+        if (x + tileSize < 0 || x > viewSize.width) continue;
+        tiles.push({ column, row, x, y });
+      }
+    }
+  }
+
+  const handleMouseDown = (e) => {
+    e.preventDefault();
+    dragRef.current = { startX: e.clientX, startY: e.clientY, x: centerX, y: centerY, moved: false };
+  };
+
+  const handleMouseMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag || !info) return;
+    const dx = e.clientX - drag.startX;
+    const dy = e.clientY - drag.startY;
+    if (Math.abs(dx) + Math.abs(dy) > CLICK_DISTANCE) drag.moved = true;
+    if (drag.moved) {
+      onZoomChange({
+        ...zoom,
+        x: clampCenter(drag.x - dx / width, width, viewSize.width),
+        y: clampCenter(drag.y - dy / height, height, viewSize.height)
+      });
+    }
+  };
+
+  // A click without dragging zooms back out
+  const handleMouseUp = () => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (drag && !drag.moved) onZoomChange(null);
+  };
+
+  const navigatorScale = info ? NAVIGATOR_SIZE / Math.max(info.width, info.height) : 0;
+
+  return (
+    <div
+      ref={containerRef}
+      className="w-full h-full relative overflow-hidden cursor-grab active:cursor-grabbing"
+      onMouseDown={handleMouseDown}
+      onMouseMove={handleMouseMove}
+      onMouseUp={handleMouseUp}
+      onMouseLeave={() => { dragRef.current = null; }}
+    >
+      {info ? (
+        <>
+          {/* The fitted preview, stretched, fills in while the tiles load */}
+          <img
+            src={`${API_URL}/image?file=${file}`}
+            alt=""
+            draggable={false}
+            className="absolute max-w-none"
+            style={{ left, top, width, height }}
+          />
+          {tiles.map(tile => (
+            <img
+              key={`${tile.column}:${tile.row}`}
+              src={`${API_URL}/image/tile?file=${file}&x=${tile.column}&y=${tile.row}`}
+              alt=""
+              draggable={false}
+              className="absolute max-w-none"
+              style={{
+                left: tile.x,
+                top: tile.y,
+                width: Math.min(info.tileSize, info.width - tile.column * info.tileSize) * zoom.scale,
+                height: Math.min(info.tileSize, info.height - tile.row * info.tileSize) * zoom.scale
+              }}
+            />
+          ))}
+
+          {/* Navigator: the whole photo with the visible part outlined */}
+          <div
+            className="absolute bottom-4 right-4 bg-black/70 rounded p-1"
+            onMouseDown={(e) => e.stopPropagation()}
+          >
+            <div className="relative" style={{ width: info.width * navigatorScale, height: info.height * navigatorScale }}>
+              <img src={`${API_URL}/thumbnail?file=${file}`} alt="" draggable={false} className="w-full h-full" />
+              <div
+                className="absolute border border-white shadow-[0_0_0_1px_rgba(0,0,0,0.6)]"
+                style={{
+                  left: Math.max(0, -left / zoom.scale) * navigatorScale,
+                  top: Math.max(0, -top / zoom.scale) * navigatorScale,
+                  width: Math.min(info.width, viewSize.width / zoom.scale) * navigatorScale,
+                  height: Math.min(info.height, viewSize.height / zoom.scale) * navigatorScale
+                }}
+              />
+            </div>
+            <div className="flex justify-center space-x-1 mt-1">
+              {ZOOM_LEVELS.map(scale => (
+                <button
+                  key={scale}
+                  onClick={() => onZoomChange({ ...zoom, scale })}
+                  className={cn("text-xs px-1.5 rounded", zoom.scale === scale ? "bg-blue-600 text-white" : "text-gray-300 hover:bg-gray-700")}
+                >
+                  {scale * 100}%
+                </button>
+              ))}
+            </div>
+          </div>
+        </>
+      ) : (
+        <div className="absolute inset-0 flex items-center justify-center text-gray-500 text-sm">Loading full resolution...</div>
+      )}
+    </div>
+  );
+};
+
+export default ZoomableImage;
@@ -0,0 +1,32 @@
+// Bursts from /api/bursts as a lookup: photo id -> burst id
+export const indexBursts = (bursts) => {
+  const burstOf = new Map();
+  bursts.forEach(burst => burst.members.forEach(id => burstOf.set(id, burst.id)));
+  return burstOf;
+};
+
+// Collapse each burst in the (filtered and sorted) grid to its first photo, unless it is
+// in `expanded`. Photos of a burst get `burst: { id, count, expanded, first }`, where count
+// is how many of its photos passed the filter. A burst down to one photo is shown as a plain photo.
+export const collapseBursts = (photos, burstOf, expanded) => {
+  const counts = new Map();
+  photos.forEach(p => {
+    const id = burstOf.get(p.id);
+    if (id) counts.set(id, (counts.get(id) || 0) + 1);
+  });
+
+  const seen = new Set();
+  const result = [];
+  photos.forEach(p => {
+    const id = burstOf.get(p.id);
+    if (!id || counts.get(id) < 2) {
+      result.push(p);
+      return;
+    }
+    const first = !seen.has(id);
+    seen.add(id);
+    if (!first && !expanded.has(id)) return;
+    result.push({ ...p, burst: { id, count: counts.get(id), expanded: expanded.has(id), first } });
+  });
+  return result;
+};
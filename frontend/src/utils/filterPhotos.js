@@ -0,0 +1,111 @@
+import { getMedianSharpness, isLikelyBlurry, isClipped } from './quality';
+
+// Composable grid filter. Every criterion is optional; a photo has to pass all the active ones.
+export const DEFAULT_FILTER = {
+  ratingOp: 'any', // 'any', 'gte', 'lte', 'eq', 'unrated'
+  rating: 1,
+  labels: [], // Any of these labels; 'none' matches unlabeled photos
+  flag: 'All', // 'All', 'pick', 'reject', 'none', 'notRejected'
+  keyword: '', // Photos carrying this keyword, or NO_KEYWORDS
+  name: '', // File name substring, case-insensitive
+  dateFrom: '', // Capture date range, 'YYYY-MM-DD', both ends inclusive
+  dateTo: '',
+  camera: '',
+  lens: '',
+  focus: 'all', // 'all', 'sharp', 'blurry' (likely out of focus), 'unscored' - see utils/quality
+  exposure: 'all', // 'all', 'ok', 'clipped'
+};
+
+// `keyword` value for photos without any keyword. Can't clash with a real one: those are trimmed.
+export const NO_KEYWORDS = ' none';
+
+export const RATING_OPS = [
+  { value: 'any', label: 'Any Rating' },
+  { value: 'gte', label: 'At Least' },
+  { value: 'lte', label: 'At Most' },
+  { value: 'eq', label: 'Exactly' },
+  { value: 'unrated', label: 'Unrated' },
+];
+
+export const FILTER_LABELS = ['Red', 'Yellow', 'Green', 'Blue', 'Purple', 'Orange', 'Gray'];
+
+const matchesRating = (rating, op, value) => {
+  switch (op) {
+    case 'gte': return rating >= value;
+    case 'lte': return rating > 0 && rating <= value; // Rejected (-1) and unrated aren't "at most N stars"
+    case 'eq': return rating === value;
+    case 'unrated': return rating === 0;
+    default: return true;
+  }
+};
+
+// captureDate is local camera time ('2024-05-01T14:03:22'), so the date part compares as a string
+const matchesDate = (captureDate, from, to) => {
+  if (!from && !to) return true;
+  if (!captureDate) return false;
+  const day = captureDate.slice(0, 10);
+  return (!from || day >= from) && (!to || day <= to);
+};
+
+const matchesFlag = (flag, filterFlag) => {
+  switch (filterFlag) {
+    case 'All': return true;
+    case 'none': return !flag;
+    case 'notRejected': return flag !== 'reject';
+    default: return flag === filterFlag;
+  }
+};
+
+const matchesKeyword = (keywords, keyword) => {
+  if (!keyword) return true;
+  if (keyword === NO_KEYWORDS) return keywords.length === 0;
+  return keywords.includes(keyword);
+};
+
+const matchesFocus = (photo, focus, medianSharpness) => {
+  switch (focus) {
+    case 'sharp': return Boolean(photo.quality) && !isLikelyBlurry(photo, medianSharpness);
+    case 'blurry': return isLikelyBlurry(photo, medianSharpness);
+    case 'unscored': return !photo.quality;
+    default: return true;
+  }
+};
+
+const matchesExposure = (photo, exposure) => {
+  switch (exposure) {
+    case 'ok': return Boolean(photo.quality) && !isClipped(photo);
+    case 'clipped': return isClipped(photo);
+    default: return true;
+  }
+};
+
+// `photos` should be the whole folder: "likely blurry" is judged against its median sharpness
+export const filterPhotos = (photos, filter) => {
+  const name = filter.name.trim().toLowerCase();
+  const medianSharpness = getMedianSharpness(photos);
+  return photos.filter(p => (
+    matchesRating(p.rating || 0, filter.ratingOp, filter.rating)
+    && (filter.labels.length === 0 || filter.labels.includes(p.label || 'none'))
+    && matchesFlag(p.flag, filter.flag)
+    && matchesKeyword(p.keywords || [], filter.keyword)
+    && (!name || p.name.toLowerCase().includes(name))
+    && matchesDate(p.captureDate, filter.dateFrom, filter.dateTo)
+    && (!filter.camera || p.camera === filter.camera)
+    && (!filter.lens || p.lens === filter.lens)
+    && matchesFocus(p, filter.focus, medianSharpness)
+    && matchesExposure(p, filter.exposure)
+  ));
+};
+
+// Number of criteria that differ from the default, for the toolbar badge
+export const countActiveFilters = (filter) => (
+  Object.keys(DEFAULT_FILTER).filter(key => {
+    if (key === 'rating') return false; // Only meaningful together with ratingOp
+    return JSON.stringify(filter[key]) !== JSON.stringify(DEFAULT_FILTER[key]);
+  }).length
+);
+
+// Every keyword used in `photos`, sorted, for the filter and the keyword editor's suggestions
+export const collectKeywords = (photos) => (
+  [...new Set(photos.flatMap(p => p.keywords || []))].sort((a, b) => a.localeCompare(b))
+);
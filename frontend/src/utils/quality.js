@@ -0,0 +1,21 @@
+// Helpers for the sharpness/exposure scores from /api/quality (photo.quality).
+
+// Sharpness scores depend a lot on the subject, so a photo counts as likely out of focus
+// relative to the rest of the folder: below this fraction of the folder's median sharpness
+const BLUR_RATIO = 0.3;
+
+// Percent of clipped pixels (highlights or shadows) that counts as a clipping problem
+export const CLIP_PERCENT = 2;
+
+export const getMedianSharpness = (photos) => {
+  const values = photos.filter(p => p.quality).map(p => p.quality.sharpness).sort((a, b) => a - b);
+  return values.length > 0 ? values[Math.floor(values.length / 2)] : null;
+};
+
+export const isLikelyBlurry = (photo, medianSharpness) => (
+  Boolean(photo.quality) && medianSharpness !== null && photo.quality.sharpness < medianSharpness * BLUR_RATIO
+);
+
+export const isClipped = (photo) => (
+  Boolean(photo.quality) && (photo.quality.highlights >= CLIP_PERCENT || photo.quality.shadows >= CLIP_PERCENT)
+);
@@ -0,0 +1,43 @@
+// Sort orders for the grid. Sorting happens here only, so live updates and streamed
+// batches fall into place without asking the backend.
+export const SORT_OPTIONS = [
+  { value: 'name', label: 'File Name' },
+  { value: 'captureDate', label: 'Capture Time' },
+  { value: 'rating', label: 'Rating' },
+  { value: 'label', label: 'Color Label' },
+  { value: 'size', label: 'File Size' },
+  { value: 'modifiedDate', label: 'Modified Date' },
+  { value: 'sharpness', label: 'Sharpness' },
+];
+
+// Labels sort in the order of their keyboard shortcuts, unlabeled last
+const LABEL_ORDER = ['Red', 'Yellow', 'Green', 'Blue', 'Purple', 'Orange', 'Gray'];
+
+const getSortValue = (photo, field) => {
+  switch (field) {
+    case 'label': {
+      const index = LABEL_ORDER.indexOf(photo.label);
+      return index === -1 ? null : index;
+    }
+    case 'rating': return photo.rating || 0;
+    case 'sharpness': return photo.quality ? photo.quality.sharpness : null;
+    default: return photo[field] ?? null;
+  }
+};
+
+// Photos missing the value (e.g. no capture time) always go last; ties fall back to the file name
+export const sortPhotos = (photos, field, order) => {
+  const direction = order === 'desc' ? -1 : 1;
+  return [...photos].sort((a, b) => {
+    const va = getSortValue(a, field);
+    const vb = getSortValue(b, field);
+
+    if (va !== vb) {
+      if (va === null) return 1;
+      if (vb === null) return -1;
+      const diff = typeof va === 'string' ? va.localeCompare(vb) : va - vb;
+      if (diff !== 0) return diff * direction;
+    }
+    return a.name.localeCompare(b.name);
+  });
+};
@@ -0,0 +1,2 @@
+// Zoom levels past "fit"; 1 = 100% (one image pixel per screen pixel)
+export const ZOOM_LEVELS = [1, 2];